@@ -0,0 +1,85 @@
+/* =========================================================
+   FICHA DE CLIENTES Y NEGOCIOS
+   ---------------------------------------------------------
+   Funciones puras: validan y normalizan los datos que llegan
+   del panel antes de guardarlos en clients_v2 / negocios.
+   ========================================================= */
+
+export const CAMPOS_CLIENTE = ['name', 'cuit', 'telefono', 'email', 'direccion', 'lista_precios', 'limite_credito', 'notas', 'alias'];
+export const CAMPOS_NEGOCIO = ['nombre', 'direccion', 'localidad', 'telefono'];
+
+const PESOS_CUIT = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// Igual que normalizar_nombre_cliente() en sql/018: minúsculas y sin espacios de más
+export function normalizarNombre(texto) {
+    const limpio = String(texto ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return limpio || null;
+}
+
+// "20-12345678-3", "20 12345678 3" o "20123456783" → "20-12345678-3" (null si no son 11 dígitos)
+export function normalizarCuit(texto) {
+    const digitos = String(texto ?? '').replace(/\D/g, '');
+    if (digitos.length !== 11) return null;
+    return `${digitos.slice(0, 2)}-${digitos.slice(2, 10)}-${digitos.slice(10)}`;
+}
+
+// Verifica el dígito verificador (módulo 11)
+export function cuitValido(texto) {
+    const cuit = normalizarCuit(texto);
+    if (!cuit) return false;
+    const digitos = cuit.replace(/-/g, '').split('').map(Number);
+    const suma = PESOS_CUIT.reduce((s, peso, i) => s + peso * digitos[i], 0);
+    let verificador = 11 - (suma % 11);
+    if (verificador === 11) verificador = 0;
+    if (verificador === 10) return false;
+    return verificador === digitos[10];
+}
+
+function textoOpcional(valor) {
+    if (valor === null || valor === undefined) return null;
+    const texto = String(valor).trim();
+    return texto || null;
+}
+
+// body: subconjunto de CAMPOS_CLIENTE. Devuelve { campos } con solo lo que vino, o { error }.
+// parcial = false (alta) exige el nombre.
+export function validarCliente(body, { parcial = false } = {}) {
+    const campos = {};
+    for (const campo of CAMPOS_CLIENTE) {
+        if (body[campo] === undefined) continue;
+        if (campo === 'alias') {
+            const lista = Array.isArray(body.alias) ? body.alias : String(body.alias || '').split(',');
+            campos.alias = [...new Set(lista.map(textoOpcional).filter(Boolean))];
+        } else if (campo === 'limite_credito') {
+            const valor = body.limite_credito;
+            if (valor === null || valor === '') campos.limite_credito = null;
+            else if (!(Number(valor) >= 0)) return { error: 'Límite de crédito inválido' };
+            else campos.limite_credito = Number(valor);
+        } else {
+            campos[campo] = textoOpcional(body[campo]);
+        }
+    }
+
+    if ((!parcial || 'name' in campos) && !campos.name) return { error: 'Falta el nombre del cliente' };
+    if (campos.cuit) {
+        if (!cuitValido(campos.cuit)) return { error: `CUIT inválido: ${campos.cuit}` };
+        campos.cuit = normalizarCuit(campos.cuit);
+    }
+    if (campos.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(campos.email)) return { error: `Email inválido: ${campos.email}` };
+    return { campos };
+}
+
+export function validarNegocio(body, { parcial = false } = {}) {
+    const campos = {};
+    for (const campo of CAMPOS_NEGOCIO) {
+        if (body[campo] !== undefined) campos[campo] = textoOpcional(body[campo]);
+    }
+    if ((!parcial || 'nombre' in campos) && !campos.nombre) return { error: 'Falta el nombre del negocio' };
+    return { campos };
+}
+
+// Lo que le queda por deber antes del límite (null = sin límite)
+export function creditoDisponible(limite, saldo) {
+    if (limite === null || limite === undefined) return null;
+    return Math.round((Number(limite) - (Number(saldo) || 0)) * 100) / 100;
+}
@@ -0,0 +1,209 @@
+/* =========================================================
+   LIBRO DE DEUDAS DEL CLIENTE (clients_v2.data.items)
+   ---------------------------------------------------------
+   Funciones puras: reciben la lista de items y devuelven una
+   copia modificada, sin tocar la base de datos.
+   Orden de la lista: lo más nuevo arriba (índice 0), lo más
+   viejo al final. Los items 'divider' separan secciones.
+   ========================================================= */
+
+export const MESES_RETENCION = 3;
+export const MAX_HISTORIAL = 500;
+
+function clonar(items) {
+    return JSON.parse(JSON.stringify(items || []));
+}
+
+function pendiente(item) {
+    return Math.max(0, (item.amount || 0) - (item.paid || 0));
+}
+
+export function buscarDeuda(items, id) {
+    return items.findIndex(i => i.type === 'debt' && i.id === String(id));
+}
+
+export function saldoPendiente(items) {
+    return (items || []).filter(i => i.type === 'debt').reduce((acc, i) => acc + pendiente(i), 0);
+}
+
+// Fecha (Date) de la deuda impaga más vieja, o null si no debe nada
+export function deudaMasVieja(items) {
+    let masVieja = null;
+    for (const i of items || []) {
+        if (i.type !== 'debt' || pendiente(i) <= 0 || !i.date) continue;
+        const fecha = new Date(i.date);
+        if (!isNaN(fecha.getTime()) && (!masVieja || fecha < masVieja)) masVieja = fecha;
+    }
+    return masVieja;
+}
+
+// Ninguna deuda puede tener pagado más que su monto
+export function topearPagos(items) {
+    return items.map(i => {
+        if (i.type === 'debt' && i.paid > i.amount) return { ...i, paid: i.amount };
+        return i;
+    });
+}
+
+// Quita deudas saldadas con más de N meses. Las que tienen saldo o fecha inválida se conservan.
+export function purgarDeudasViejas(items, meses = MESES_RETENCION, ahora = new Date()) {
+    const fechaLimite = new Date(ahora);
+    fechaLimite.setMonth(fechaLimite.getMonth() - meses);
+
+    return clonar(items).filter(item => {
+        if (item.type !== 'debt') return true;
+        if (!item.date) return true;
+        const fechaItem = new Date(item.date);
+        if (isNaN(fechaItem.getTime())) return true;
+        return (fechaItem > fechaLimite) || pendiente(item) > 0;
+    });
+}
+
+// numero: el número impreso del pedido ("0001-00000042"), para mostrar en el libro y el estado de cuenta
+export function agregarDeuda(items, { id, amount, date, notes = '', color = 'orange', numero = null }) {
+    const nuevos = clonar(items);
+    const deuda = {
+        id: String(id),
+        type: 'debt',
+        amount: Math.round(amount),
+        paid: 0,
+        date: date || new Date().toISOString(),
+        notes,
+        color
+    };
+    if (numero) deuda.numero = numero;
+    nuevos.unshift(deuda);
+    return nuevos;
+}
+
+// Lo que se muestra como número de la deuda: el del pedido, o los últimos 4 del id en las deudas viejas
+export function numeroDeDeuda(deuda) {
+    return deuda?.numero || String(deuda?.id ?? '').slice(-4);
+}
+
+// Límites [startIdx, endIdx) de la sección (entre dividers) que contiene a index
+export function limitesSeccion(items, index) {
+    let startIdx = 0;
+    let endIdx = items.length;
+    for (let i = index - 1; i >= 0; i--) {
+        if (items[i].type === 'divider') { startIdx = i + 1; break; }
+    }
+    for (let i = index + 1; i < items.length; i++) {
+        if (items[i].type === 'divider') { endIdx = i; break; }
+    }
+    return { startIdx, endIdx };
+}
+
+// Reparte un sobrante de pago entre otras deudas:
+// Fase 1: deudas de la MISMA sección que indexOrigen. Fase 2: el resto, de la más vieja a la más nueva.
+// Devuelve { items, restante } (restante = lo que no se pudo ubicar).
+export function redistribuirSobrante(items, indexOrigen, sobrante) {
+    const nuevos = clonar(items);
+    let restante = Math.round(sobrante);
+    if (restante <= 0) return { items: nuevos, restante: 0 };
+
+    const aplicarPago = (idx) => {
+        if (idx === indexOrigen || nuevos[idx].type !== 'debt') return;
+        const deudaPendiente = pendiente(nuevos[idx]);
+        if (deudaPendiente > 0) {
+            const pago = Math.min(restante, deudaPendiente);
+            nuevos[idx].paid = Math.round((nuevos[idx].paid || 0) + pago);
+            restante -= pago;
+        }
+    };
+
+    const { startIdx, endIdx } = limitesSeccion(nuevos, indexOrigen);
+    for (let i = startIdx; i < endIdx; i++) {
+        if (restante <= 0) break;
+        aplicarPago(i);
+    }
+    for (let i = nuevos.length - 1; i >= 0; i--) {
+        if (restante <= 0) break;
+        if (i >= startIdx && i < endIdx) continue;
+        aplicarPago(i);
+    }
+
+    return { items: nuevos, restante };
+}
+
+// Cambia el monto de una deuda. Si lo pagado supera el nuevo monto, se topea y el sobrante se redistribuye.
+// Devuelve { items, cambio, montoAnterior, sobrante, redistribuido }.
+export function cambiarMontoDeuda(items, id, montoNuevo, { notes } = {}) {
+    const index = buscarDeuda(items, id);
+    if (index === -1) throw new Error(`No existe la deuda ${id}`);
+
+    const monto = Math.round(montoNuevo);
+    let nuevos = clonar(items);
+    const montoAnterior = nuevos[index].amount;
+    if (montoAnterior === monto) {
+        return { items: nuevos, cambio: false, montoAnterior, sobrante: 0, redistribuido: 0 };
+    }
+
+    nuevos[index].amount = monto;
+    if (notes) nuevos[index].notes = notes;
+
+    let sobrante = 0;
+    let redistribuido = 0;
+    const pagado = nuevos[index].paid || 0;
+    if (pagado > monto) {
+        sobrante = Math.round(pagado - monto);
+        nuevos[index].paid = monto;
+        const r = redistribuirSobrante(nuevos, index, sobrante);
+        nuevos = r.items;
+        redistribuido = sobrante - r.restante;
+    }
+
+    return { items: topearPagos(nuevos), cambio: true, montoAnterior, sobrante, redistribuido };
+}
+
+// Registra un pago. Sin destinoId se aplica a las deudas de la más vieja a la más nueva;
+// con destinoId se paga esa deuda y lo que sobra se redistribuye con las reglas de siempre.
+// Devuelve { items, aplicado, sobrante, detalle: [{ id, monto }] } (sobrante = saldo a favor sin ubicar).
+export function registrarPago(items, monto, { destinoId = null } = {}) {
+    const total = Math.round(monto);
+    if (!(total > 0)) throw new Error('El monto del pago debe ser mayor a cero');
+
+    const antes = clonar(items);
+    let nuevos = clonar(items);
+    let restante = total;
+
+    if (destinoId !== null && destinoId !== undefined) {
+        const index = buscarDeuda(nuevos, destinoId);
+        if (index === -1) throw new Error(`No existe la deuda ${destinoId}`);
+        const pago = Math.min(restante, pendiente(nuevos[index]));
+        nuevos[index].paid = Math.round((nuevos[index].paid || 0) + pago);
+        restante -= pago;
+        if (restante > 0) {
+            const r = redistribuirSobrante(nuevos, index, restante);
+            nuevos = r.items;
+            restante = r.restante;
+        }
+    } else {
+        for (let i = nuevos.length - 1; i >= 0; i--) {
+            if (restante <= 0) break;
+            if (nuevos[i].type !== 'debt') continue;
+            const pago = Math.min(restante, pendiente(nuevos[i]));
+            if (pago > 0) {
+                nuevos[i].paid = Math.round((nuevos[i].paid || 0) + pago);
+                restante -= pago;
+            }
+        }
+    }
+
+    const detalle = nuevos
+        .map((item, i) => ({ id: item.id, monto: (item.paid || 0) - (antes[i].paid || 0) }))
+        .filter(d => d.monto > 0);
+
+    return { items: topearPagos(nuevos), aplicado: total - restante, sobrante: restante, detalle };
+}
+
+// Agrega una entrada al historial del cliente con la foto de los items ANTERIORES al cambio
+export function agregarHistorial(history, itemsAnteriores, action, type) {
+    const nuevo = [{
+        timestamp: Date.now(),
+        items: clonar(itemsAnteriores),
+        action,
+        type
+    }, ...(history || [])];
+    return nuevo.slice(0, MAX_HISTORIAL);
+}
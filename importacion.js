@@ -0,0 +1,152 @@
+/* =========================================================
+   IMPORTACIÓN DE LISTAS DE PROVEEDORES
+   ---------------------------------------------------------
+   Funciones puras: parseo de CSV, detección de columnas y
+   emparejamiento de filas contra productos (sku > link > nombre).
+   ========================================================= */
+
+export const UMBRAL_MATCH = 0.85;      // similitud mínima para emparejar solo por nombre
+export const UMBRAL_CANDIDATO = 0.6;   // por debajo de esto ni se sugiere
+export const MARGEN_AMBIGUO = 0.1;     // si el segundo está a menos de esto, es ambiguo
+
+// Nombres de columna que usan los proveedores (ya normalizados)
+const ALIAS_COLUMNAS = {
+    sku: ['sku', 'codigo', 'cod', 'codigo de barras', 'ean', 'articulo'],
+    nombre: ['nombre', 'descripcion', 'producto', 'detalle'],
+    link: ['link', 'url', 'enlace'],
+    costo: ['costo', 'precio costo', 'precio de costo', 'neto', 'precio neto', 'precio proveedor'],
+    precio: ['precio', 'precio venta', 'precio de venta', 'pvp', 'precio sugerido']
+};
+
+export function normalizarTexto(texto) {
+    return String(texto ?? '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Parser CSV mínimo: comillas dobles, separador ',' o ';' (el que más aparezca en la primera línea)
+export function parsearCSV(texto) {
+    const limpio = String(texto).replace(/^\ufeff/, '');
+    const primeraLinea = limpio.split(/\r?\n/, 1)[0] || '';
+    const separador = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length ? ';' : ',';
+
+    const filas = [];
+    let fila = [];
+    let campo = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < limpio.length; i++) {
+        const c = limpio[i];
+        if (entreComillas) {
+            if (c === '"' && limpio[i + 1] === '"') { campo += '"'; i++; }
+            else if (c === '"') entreComillas = false;
+            else campo += c;
+        } else if (c === '"') {
+            entreComillas = true;
+        } else if (c === separador) {
+            fila.push(campo); campo = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && limpio[i + 1] === '\n') i++;
+            fila.push(campo); campo = '';
+            if (fila.some(v => v.trim() !== '')) filas.push(fila);
+            fila = [];
+        } else {
+            campo += c;
+        }
+    }
+    fila.push(campo);
+    if (fila.some(v => v.trim() !== '')) filas.push(fila);
+    return filas;
+}
+
+// "1.234,56" / "1,234.56" / "$ 1234" → número (null si no se entiende)
+export function parsearNumero(valor) {
+    if (typeof valor === 'number') return Number.isFinite(valor) ? valor : null;
+    let s = String(valor ?? '').replace(/[^0-9,.-]/g, '');
+    if (!s) return null;
+    const ultimaComa = s.lastIndexOf(',');
+    const ultimoPunto = s.lastIndexOf('.');
+    if (ultimaComa > ultimoPunto) s = s.replace(/\./g, '').replace(',', '.');
+    else s = s.replace(/,/g, '');
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+}
+
+// Recibe las filas crudas (la primera es el encabezado) y devuelve [{ fila, sku, nombre, link, costo, precio }]
+export function filasDesdeTabla(tabla) {
+    if (!tabla || tabla.length < 2) return [];
+    const encabezado = tabla[0].map(normalizarTexto);
+    const indice = {};
+    for (const [campo, alias] of Object.entries(ALIAS_COLUMNAS)) {
+        const idx = encabezado.findIndex(h => alias.includes(h));
+        if (idx !== -1) indice[campo] = idx;
+    }
+    if (indice.nombre === undefined && indice.sku === undefined) {
+        throw new Error('El archivo necesita una columna de nombre/descripción o de código/sku');
+    }
+
+    const valor = (fila, campo) => (indice[campo] === undefined ? null : fila[indice[campo]]);
+    return tabla.slice(1).map((fila, i) => ({
+        fila: i + 2,
+        sku: valor(fila, 'sku') != null && String(valor(fila, 'sku')).trim() !== '' ? String(valor(fila, 'sku')).trim() : null,
+        nombre: valor(fila, 'nombre') != null ? String(valor(fila, 'nombre')).trim() : null,
+        link: valor(fila, 'link') ? String(valor(fila, 'link')).trim() : null,
+        costo: parsearNumero(valor(fila, 'costo')),
+        precio: parsearNumero(valor(fila, 'precio'))
+    })).filter(f => f.sku || f.nombre);
+}
+
+// Similitud de Dice sobre bigramas de los nombres normalizados (0 a 1)
+export function similitud(a, b) {
+    const x = normalizarTexto(a).replace(/ /g, '');
+    const y = normalizarTexto(b).replace(/ /g, '');
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    if (x.length < 2 || y.length < 2) return 0;
+
+    const bigramas = new Map();
+    for (let i = 0; i < x.length - 1; i++) {
+        const bg = x.slice(i, i + 2);
+        bigramas.set(bg, (bigramas.get(bg) || 0) + 1);
+    }
+    let comunes = 0;
+    for (let i = 0; i < y.length - 1; i++) {
+        const bg = y.slice(i, i + 2);
+        const n = bigramas.get(bg) || 0;
+        if (n > 0) { comunes++; bigramas.set(bg, n - 1); }
+    }
+    return (2 * comunes) / (x.length - 1 + y.length - 1);
+}
+
+// Empareja cada fila con un producto. estado: 'match' | 'ambiguo' | 'sin_match'
+export function emparejarFilas(filas, productos) {
+    const porSku = new Map();
+    const porLink = new Map();
+    for (const p of productos) {
+        if (p.sku) porSku.set(String(p.sku).trim().toLowerCase(), p);
+        if (p.link) porLink.set(String(p.link).trim().toLowerCase(), p);
+    }
+
+    return filas.map(f => {
+        const exacto = (f.sku && porSku.get(f.sku.toLowerCase())) ? { p: porSku.get(f.sku.toLowerCase()), via: 'sku' }
+            : (f.link && porLink.get(f.link.toLowerCase())) ? { p: porLink.get(f.link.toLowerCase()), via: 'link' }
+            : null;
+        if (exacto) return { ...f, estado: 'match', via: exacto.via, producto: exacto.p, candidatos: [] };
+
+        if (!f.nombre) return { ...f, estado: 'sin_match', via: null, producto: null, candidatos: [] };
+
+        const candidatos = productos
+            .map(p => ({ ...p, score: Math.round(similitud(f.nombre, p.nombre) * 100) / 100 }))
+            .filter(c => c.score >= UMBRAL_CANDIDATO)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+
+        const [mejor, segundo] = candidatos;
+        if (mejor && mejor.score >= UMBRAL_MATCH && (!segundo || mejor.score - segundo.score >= MARGEN_AMBIGUO)) {
+            return { ...f, estado: 'match', via: 'nombre', producto: mejor, candidatos };
+        }
+        return { ...f, estado: candidatos.length > 0 ? 'ambiguo' : 'sin_match', via: null, producto: null, candidatos };
+    });
+}
@@ -0,0 +1,76 @@
+/* =========================================================
+   MOTOR DE LISTAS DE PRECIOS
+   ---------------------------------------------------------
+   Funciones puras: el precio de venta sale de productos.precio
+   (precio base) × el multiplicador de la lista.
+   Prioridad de reglas: producto > categoría > lista.
+   ========================================================= */
+
+// Mismas listas que siembra sql/007; se usan si la tabla todavía no existe o está vacía
+export const LISTAS_INICIALES = [
+    { nombre: 'minorista', descripcion: 'Precio público (+10% +2%)', multiplicador: 1.122, reglas: [] },
+    { nombre: 'regular', descripcion: 'Cliente regular (público -3%)', multiplicador: 1.08834, reglas: [] },
+    { nombre: 'mayorista', descripcion: 'Mayorista (+10%)', multiplicador: 1.10, reglas: [] }
+];
+
+export function redondearPrecio(valor) {
+    return Math.round((Number(valor) || 0) * 100) / 100;
+}
+
+export function multiplicadorPara(producto, lista) {
+    const reglas = lista.reglas || [];
+    const porProducto = reglas.find(r => r.producto_id != null && String(r.producto_id) === String(producto.id));
+    if (porProducto) return Number(porProducto.multiplicador);
+    const porCategoria = reglas.find(r => r.categoria && r.categoria === producto.categoria);
+    if (porCategoria) return Number(porCategoria.multiplicador);
+    return Number(lista.multiplicador) || 1;
+}
+
+export function precioDeLista(producto, lista) {
+    return redondearPrecio((Number(producto.precio) || 0) * multiplicadorPara(producto, lista));
+}
+
+// Valida las reglas que llegan del panel: [{ categoria } o { producto_id }, multiplicador > 0]
+export function validarReglas(reglas) {
+    if (!Array.isArray(reglas)) return 'Las reglas deben ser una lista';
+    for (const r of reglas) {
+        if (!r || !!r.categoria === (r.producto_id != null)) return 'Cada regla necesita categoria o producto_id (uno solo)';
+        if (!(Number(r.multiplicador) > 0)) return 'Cada regla necesita un multiplicador mayor a cero';
+    }
+    return null;
+}
+
+// Arma las líneas de un pedido con los precios de la lista.
+// productos: filas de la DB; pedidoItems: [{ id, cantidad }].
+// Devuelve { items: [{ id, nombre, cantidad, precio_unitario, subtotal }], total, omitidos: [ids] }
+export function cotizarItems(productos, pedidoItems, lista) {
+    const items = [];
+    const omitidos = [];
+    let total = 0;
+
+    for (const it of pedidoItems) {
+        const prod = productos.find(p => String(p.id) === String(it.id));
+        const cantidad = Number(it.cantidad) || 0;
+        if (!prod || cantidad <= 0) {
+            omitidos.push(it.id);
+            continue;
+        }
+        const precioUnitario = precioDeLista(prod, lista);
+        const subtotal = redondearPrecio(cantidad * precioUnitario);
+        total += subtotal;
+        items.push({ id: prod.id, nombre: prod.nombre, cantidad, precio_unitario: precioUnitario, subtotal });
+    }
+
+    return { items, total: redondearPrecio(total), omitidos };
+}
+
+// Foto del costo de cada línea al momento de la venta (costo_unitario; null si el producto no
+// tiene costo cargado). Así un cambio de costo posterior no reescribe el margen de ventas pasadas.
+// Es aparte de cotizarItems porque los carritos que ve el cliente no deben llevar el costo.
+export function agregarCostos(items, productos) {
+    return items.map(it => {
+        const prod = productos.find(p => String(p.id) === String(it.id));
+        const costo = prod?.costo;
+        return { ...it, costo_unitario: costo === null || costo === undefined ? null : Number(costo) };
+    });
+}
@@ -1,29 +1,121 @@
-function register() {
-  const user = document.getElementById('reg-user').value.trim();
-  const pass = document.getElementById('reg-pass').value;
-  if (!user || !pass) return alert('Completa todos los campos');
+// Sesión compartida por todas las páginas: el token lo emite el servidor en /api/auth/login
+const AUTH_API = 'https://distribuidorafunaz-a2o6.onrender.com/api';
 
-  let users = JSON.parse(localStorage.getItem('users') || '[]');
-  if (users.find(u => u.user === user)) return alert('Usuario ya existe');
+function getSesion() {
+  try {
+    return JSON.parse(localStorage.getItem('sesion') || 'null');
+  } catch (e) {
+    return null;
+  }
+}
 
-  users.push({ user, pass });
-  localStorage.setItem('users', JSON.stringify(users));
-  alert('Cuenta creada');
-  location.href = 'login.html';
+function guardarSesion(token, usuario) {
+  localStorage.setItem('sesion', JSON.stringify({ token, usuario }));
+  // Compatibilidad con las páginas que solo leen el nombre
+  localStorage.setItem('loggedUser', usuario.username);
+}
+
+function limpiarSesion() {
+  localStorage.removeItem('sesion');
+  localStorage.removeItem('loggedUser');
 }
 
+// fetch con el token de la sesión; si el servidor responde 401 la sesión venció
+async function authFetch(url, options = {}) {
+  const sesion = getSesion();
+  const headers = { ...(options.headers || {}) };
+  if (sesion && sesion.token) headers['Authorization'] = `Bearer ${sesion.token}`;
+
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401 && sesion) {
+    limpiarSesion();
+    location.href = 'login.html';
+  }
+  return res;
+}
+
+// Clave para el header Idempotency-Key: se genera una por operación y se reusa en los reintentos
+function nuevaClaveIdempotencia() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+// Redirige si no hay sesión o el rol no está permitido
+function requireRol(...roles) {
+  const sesion = getSesion();
+  if (!sesion || (roles.length > 0 && !roles.includes(sesion.usuario.rol))) {
+    location.href = sesion ? 'index.html' : 'login.html';
+    return null;
+  }
+  return sesion.usuario;
+}
 
-function login() {
+function destinoPorRol(rol) {
+  return rol === 'cliente' ? 'micuenta.html' : 'admin.html';
+}
+
+async function login() {
   const user = document.getElementById('login-user').value.trim();
   const pass = document.getElementById('login-pass').value;
-  const users = JSON.parse(localStorage.getItem('users') || '{}');
-  if (users[user] !== pass) return alert('Credenciales inválidas');
-  localStorage.setItem('loggedUser', user);
-  location.href = user === 'admin' ? 'admin.html' : 'micuenta.html';
+  const errorDiv = document.getElementById('errorMsg');
+  errorDiv.textContent = '';
+
+  if (!user || !pass) {
+    errorDiv.textContent = 'Completa todos los campos';
+    return;
+  }
+
+  try {
+    const res = await fetch(`${AUTH_API}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: user, password: pass })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      errorDiv.textContent = data.error || 'Credenciales inválidas';
+      return;
+    }
+    guardarSesion(data.token, data.usuario);
+    location.href = destinoPorRol(data.usuario.rol);
+  } catch (e) {
+    console.error(e);
+    errorDiv.textContent = 'No se pudo conectar con el servidor';
+  }
+}
+
+async function register() {
+  const user = document.getElementById('reg-user').value.trim();
+  const pass = document.getElementById('reg-pass').value;
+  const errorDiv = document.getElementById('errorMsg');
+  errorDiv.textContent = '';
+
+  if (!user || !pass) {
+    errorDiv.textContent = 'Completa todos los campos';
+    return;
+  }
+
+  try {
+    const res = await fetch(`${AUTH_API}/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: user, password: pass })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      errorDiv.textContent = data.error || 'No se pudo crear la cuenta';
+      return;
+    }
+    guardarSesion(data.token, data.usuario);
+    alert('Cuenta creada con éxito.');
+    location.href = destinoPorRol(data.usuario.rol);
+  } catch (e) {
+    console.error(e);
+    errorDiv.textContent = 'No se pudo conectar con el servidor';
+  }
 }
 
 function logout() {
-  localStorage.removeItem('loggedUser');
+  limpiarSesion();
   location.href = 'login.html';
 }
-
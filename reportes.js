@@ -0,0 +1,353 @@
+/* =========================================================
+   REPORTES DE VENTAS
+   ---------------------------------------------------------
+   Funciones puras: agregan pedidos (con sus devoluciones ya
+   descontadas) por período, cliente, producto, categoría u
+   horario. Los cancelados no cuentan como venta.
+   Las fechas de pedidos se guardan como hora local con sufijo
+   "Z" (ver guardar-pedidos), así que acá se leen siempre los
+   componentes UTC: getUTCHours() es la hora del local.
+   El margen sale del costo_unitario guardado en cada línea al
+   vender (no del costo actual del producto); las líneas sin
+   costo quedan fuera del margen y se informa la cobertura.
+   ========================================================= */
+
+export const AGRUPACIONES_PERIODO = ['dia', 'semana', 'mes', 'anio'];
+export const AGRUPACIONES_HORARIO = ['hora', 'dia_semana'];
+
+const DIAS_SEMANA = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const redondear2 = n => Math.round(n * 100) / 100;
+const dia = d => d.toISOString().slice(0, 10);
+
+function itemsDe(pedido) {
+    if (Array.isArray(pedido.items)) return pedido.items;
+    try { return JSON.parse(pedido.items || '[]'); } catch (e) { return []; }
+}
+
+const tieneCosto = it => it.costo_unitario !== null && it.costo_unitario !== undefined && it.costo_unitario !== '';
+
+// costo, margen y margen_pct sobre lo vendido con costo conocido; cobertura_costo = % del neto que lo tiene.
+// Sin ninguna línea con costo, costo/margen/margen_pct van en null.
+function margenes({ neto, neto_con_costo, costo }) {
+    if (!neto_con_costo && !costo) return { costo: null, margen: null, margen_pct: null, cobertura_costo: 0 };
+    return {
+        costo: redondear2(costo),
+        margen: redondear2(neto_con_costo - costo),
+        margen_pct: neto_con_costo ? redondear2((neto_con_costo - costo) / neto_con_costo * 100) : null,
+        cobertura_costo: neto ? redondear2(Math.min(neto_con_costo / neto, 1) * 100) : 0
+    };
+}
+
+// Una línea por producto: { id, nombre, unidades, bruto, unidades_devueltas, devuelto, neto, costo }
+// costo: costo de lo que quedó vendido (lo devuelto se descuenta al costo promedio de la línea),
+// null si alguna línea de ese producto no tiene la foto del costo
+function lineasNetas(items, devueltos) {
+    const lineas = new Map();
+    for (const it of items) {
+        const unidades = Number(it.cantidad) || 0;
+        if (it.id === null || it.id === undefined || unidades <= 0) continue;
+        const clave = String(it.id);
+        const linea = lineas.get(clave) || { id: it.id, nombre: it.nombre, unidades: 0, bruto: 0, unidades_devueltas: 0, devuelto: 0, costo_bruto: 0 };
+        linea.unidades += unidades;
+        linea.bruto += Number(it.subtotal) || unidades * (Number(it.precio_unitario ?? it.precio) || 0);
+        linea.costo_bruto = linea.costo_bruto === null || !tieneCosto(it) ? null : linea.costo_bruto + unidades * (Number(it.costo_unitario) || 0);
+        lineas.set(clave, linea);
+    }
+    for (const [clave, dev] of devueltos || []) {
+        const linea = lineas.get(clave);
+        if (!linea) continue;
+        linea.unidades_devueltas += dev.unidades;
+        linea.devuelto += dev.monto;
+    }
+    return [...lineas.values()].map(({ costo_bruto, ...l }) => ({
+        ...l,
+        neto: l.bruto - l.devuelto,
+        costo: costo_bruto === null ? null : costo_bruto * Math.max(l.unidades - l.unidades_devueltas, 0) / l.unidades
+    }));
+}
+
+// Acumula neto, neto_con_costo y costo de un conjunto de líneas
+function sumarCostos(lineas, acc = { neto: 0, neto_con_costo: 0, costo: 0 }) {
+    for (const l of lineas) {
+        acc.neto += l.neto;
+        if (l.costo === null) continue;
+        acc.neto_con_costo += l.neto;
+        acc.costo += l.costo;
+    }
+    return acc;
+}
+
+// pedidos: filas de pedidos; devoluciones: filas de devoluciones de esos pedidos.
+// Devuelve las ventas con lo devuelto descontado del pedido original:
+// [{ id, user, user_id, nombre_negocio, punto_venta, fecha (Date), lineas, unidades, bruto, devuelto, neto, neto_con_costo, costo }]
+export function ventasNetas(pedidos, devoluciones = []) {
+    const devueltosPorPedido = new Map();
+    for (const d of devoluciones) {
+        const porProducto = devueltosPorPedido.get(String(d.pedido_id)) || new Map();
+        for (const it of d.items || []) {
+            const clave = String(it.id);
+            const acc = porProducto.get(clave) || { unidades: 0, monto: 0 };
+            acc.unidades += Number(it.cantidad) || 0;
+            acc.monto += Number(it.subtotal) || 0;
+            porProducto.set(clave, acc);
+        }
+        devueltosPorPedido.set(String(d.pedido_id), porProducto);
+    }
+
+    const ventas = [];
+    for (const p of pedidos || []) {
+        if (p.estado === 'Cancelado') continue;
+        const fecha = new Date(p.fecha);
+        if (isNaN(fecha.getTime())) continue;
+
+        const lineas = lineasNetas(itemsDe(p), devueltosPorPedido.get(String(p.id)));
+        const bruto = Number(p.total) || lineas.reduce((s, l) => s + l.bruto, 0);
+        const devuelto = Number(p.total_devuelto) || lineas.reduce((s, l) => s + l.devuelto, 0);
+        const costos = sumarCostos(lineas);
+        ventas.push({
+            id: p.id,
+            user: p.user || null,
+            user_id: p.user_id || null,
+            nombre_negocio: p.nombre_negocio || null,
+            punto_venta: p.punto_venta || null,
+            fecha,
+            lineas,
+            unidades: lineas.reduce((s, l) => s + l.unidades - l.unidades_devueltas, 0),
+            bruto,
+            devuelto,
+            neto: bruto - devuelto,
+            neto_con_costo: costos.neto_con_costo,
+            costo: costos.costo
+        });
+    }
+    return ventas;
+}
+
+// { pedidos, unidades, bruto, devuelto, neto, ticket_promedio, costo, margen, margen_pct, cobertura_costo }
+export function resumenVentas(ventas) {
+    const r = { pedidos: ventas.length, unidades: 0, bruto: 0, devuelto: 0, neto: 0 };
+    let netoConCosto = 0, costo = 0;
+    for (const v of ventas) {
+        r.unidades += v.unidades;
+        r.bruto += v.bruto;
+        r.devuelto += v.devuelto;
+        r.neto += v.neto;
+        netoConCosto += v.neto_con_costo || 0;
+        costo += v.costo || 0;
+    }
+    return {
+        ...r,
+        bruto: redondear2(r.bruto),
+        devuelto: redondear2(r.devuelto),
+        neto: redondear2(r.neto),
+        ticket_promedio: r.pedidos ? redondear2(r.neto / r.pedidos) : 0,
+        ...margenes({ neto: r.neto, neto_con_costo: netoConCosto, costo })
+    };
+}
+
+// Inicio del período que contiene a la fecha (semanas de lunes a domingo)
+function inicioPeriodo(fecha, agrupar) {
+    const d = new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate()));
+    if (agrupar === 'semana') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    if (agrupar === 'mes' || agrupar === 'anio') d.setUTCDate(1);
+    if (agrupar === 'anio') d.setUTCMonth(0);
+    return d;
+}
+
+function siguientePeriodo(d, agrupar) {
+    const s = new Date(d);
+    if (agrupar === 'dia') s.setUTCDate(s.getUTCDate() + 1);
+    if (agrupar === 'semana') s.setUTCDate(s.getUTCDate() + 7);
+    if (agrupar === 'mes') s.setUTCMonth(s.getUTCMonth() + 1);
+    if (agrupar === 'anio') s.setUTCFullYear(s.getUTCFullYear() + 1);
+    return s;
+}
+
+function etiquetaPeriodo(d, agrupar) {
+    if (agrupar === 'mes') return d.toISOString().slice(0, 7);
+    if (agrupar === 'anio') return String(d.getUTCFullYear());
+    return dia(d);
+}
+
+// Serie ordenada por período; con desde/hasta (Date) se completan los períodos sin ventas.
+// [{ periodo, desde, pedidos, unidades, bruto, devuelto, neto, ticket_promedio, costo, margen, margen_pct, cobertura_costo }]
+export function reportePeriodos(ventas, agrupar = 'dia', { desde = null, hasta = null } = {}) {
+    const grupos = new Map();
+    for (const v of ventas) {
+        const inicio = inicioPeriodo(v.fecha, agrupar);
+        const clave = dia(inicio);
+        if (!grupos.has(clave)) grupos.set(clave, { inicio, ventas: [] });
+        grupos.get(clave).ventas.push(v);
+    }
+    if (desde && hasta) {
+        for (let d = inicioPeriodo(desde, agrupar); d < hasta; d = siguientePeriodo(d, agrupar)) {
+            if (!grupos.has(dia(d))) grupos.set(dia(d), { inicio: d, ventas: [] });
+        }
+    }
+    return [...grupos.values()]
+        .sort((a, b) => a.inicio - b.inicio)
+        .map(g => ({ periodo: etiquetaPeriodo(g.inicio, agrupar), desde: dia(g.inicio), ...resumenVentas(g.ventas) }));
+}
+
+// Ranking de clientes por venta neta. Se agrupa por user_id; sin user_id, por nombre.
+// [{ cliente, user_id, nombre_negocio, pedidos, unidades, neto, ticket_promedio, participacion, ultima_compra,
+//    costo, margen, margen_pct, cobertura_costo }]
+export function reporteClientes(ventas, { limite = null } = {}) {
+    const totalNeto = ventas.reduce((s, v) => s + v.neto, 0);
+    const grupos = new Map();
+    for (const v of ventas) {
+        const clave = v.user_id ? `id:${v.user_id}` : `nombre:${(v.user || 'Cliente Desconocido').toLowerCase()}`;
+        const g = grupos.get(clave) || { cliente: v.user || 'Cliente Desconocido', user_id: v.user_id, nombre_negocio: v.nombre_negocio, ventas: [], ultima: v.fecha };
+        g.ventas.push(v);
+        if (v.fecha >= g.ultima) {
+            g.ultima = v.fecha;
+            g.cliente = v.user || g.cliente;
+            g.nombre_negocio = v.nombre_negocio || g.nombre_negocio;
+        }
+        grupos.set(clave, g);
+    }
+    const filas = [...grupos.values()].map(g => {
+        const r = resumenVentas(g.ventas);
+        return {
+            cliente: g.cliente,
+            user_id: g.user_id,
+            nombre_negocio: g.nombre_negocio,
+            pedidos: r.pedidos,
+            unidades: r.unidades,
+            neto: r.neto,
+            ticket_promedio: r.ticket_promedio,
+            participacion: totalNeto ? redondear2(r.neto / totalNeto * 100) : 0,
+            ultima_compra: g.ultima.toISOString(),
+            costo: r.costo,
+            margen: r.margen,
+            margen_pct: r.margen_pct,
+            cobertura_costo: r.cobertura_costo
+        };
+    }).sort((a, b) => b.neto - a.neto);
+    return limite ? filas.slice(0, limite) : filas;
+}
+
+// productos: filas de productos (para categoría, precio y stock actuales)
+// { items: [{ id, nombre, categoria, unidades, unidades_devueltas, bruto, devuelto, neto, participacion,
+//             neto_con_costo, costo, margen, margen_pct, cobertura_costo, precio, stock }], sin_ventas }
+// orden: 'neto' | 'unidades' | 'margen'. sin_ventas: productos activos que no se vendieron en el período
+export const ORDENES_PRODUCTOS = ['neto', 'unidades', 'margen'];
+
+export function reporteProductos(ventas, productos = [], { orden = 'neto', limite = null } = {}) {
+    const porId = new Map(productos.map(p => [String(p.id), p]));
+    const grupos = new Map();
+    for (const v of ventas) {
+        for (const l of v.lineas) {
+            const clave = String(l.id);
+            const g = grupos.get(clave) || { id: l.id, nombre: l.nombre, unidades: 0, unidades_devueltas: 0, bruto: 0, devuelto: 0, neto_con_costo: 0, costo: 0 };
+            g.unidades += l.unidades;
+            g.unidades_devueltas += l.unidades_devueltas;
+            g.bruto += l.bruto;
+            g.devuelto += l.devuelto;
+            sumarCostos([l], g);
+            grupos.set(clave, g);
+        }
+    }
+    const totalNeto = [...grupos.values()].reduce((s, g) => s + g.bruto - g.devuelto, 0);
+    const items = [...grupos.values()].map(g => {
+        const prod = porId.get(String(g.id));
+        const neto = g.bruto - g.devuelto;
+        return {
+            id: g.id,
+            nombre: prod?.nombre || g.nombre,
+            categoria: prod?.categoria || null,
+            unidades: g.unidades - g.unidades_devueltas,
+            unidades_devueltas: g.unidades_devueltas,
+            bruto: redondear2(g.bruto),
+            devuelto: redondear2(g.devuelto),
+            neto: redondear2(neto),
+            participacion: totalNeto ? redondear2(neto / totalNeto * 100) : 0,
+            neto_con_costo: redondear2(g.neto_con_costo),
+            ...margenes({ neto, neto_con_costo: g.neto_con_costo, costo: g.costo }),
+            precio: prod ? Number(prod.precio) || 0 : null,
+            stock: prod ? Number(prod.stock) || 0 : null
+        };
+    }).sort((a, b) => {
+        if (orden === 'unidades') return b.unidades - a.unidades || b.neto - a.neto;
+        if (orden === 'margen') return (b.margen ?? -Infinity) - (a.margen ?? -Infinity) || b.neto - a.neto;
+        return b.neto - a.neto;
+    });
+
+    const sinVentas = productos
+        .filter(p => p.activo !== false && !grupos.has(String(p.id)))
+        .map(p => ({ id: p.id, nombre: p.nombre, categoria: p.categoria || null, stock: Number(p.stock) || 0 }))
+        .sort((a, b) => b.stock - a.stock);
+
+    return { items: limite ? items.slice(0, limite) : items, sin_ventas: sinVentas };
+}
+
+// [{ categoria, productos, unidades, neto, participacion, costo, margen, margen_pct, cobertura_costo }]
+// (productos = cuántos distintos se vendieron)
+export function reporteCategorias(ventas, productos = []) {
+    const { items } = reporteProductos(ventas, productos);
+    const totalNeto = items.reduce((s, i) => s + i.neto, 0);
+    const grupos = new Map();
+    for (const i of items) {
+        const clave = i.categoria || 'Sin categoría';
+        const g = grupos.get(clave) || { categoria: clave, productos: 0, unidades: 0, neto: 0, neto_con_costo: 0, costo: 0 };
+        g.productos++;
+        g.unidades += i.unidades;
+        g.neto += i.neto;
+        g.neto_con_costo += i.neto_con_costo;
+        g.costo += i.costo || 0;
+        grupos.set(clave, g);
+    }
+    return [...grupos.values()]
+        .map(({ neto_con_costo, costo, ...g }) => ({
+            ...g,
+            neto: redondear2(g.neto),
+            participacion: totalNeto ? redondear2(g.neto / totalNeto * 100) : 0,
+            ...margenes({ neto: g.neto, neto_con_costo, costo })
+        }))
+        .sort((a, b) => b.neto - a.neto);
+}
+
+// agrupar 'hora': 24 tramos (0 a 23); 'dia_semana': 7 tramos (0 = domingo).
+// [{ tramo, etiqueta, pedidos, neto, ticket_promedio }] con todos los tramos, aunque estén vacíos
+export function reporteHorario(ventas, agrupar = 'hora') {
+    const cantidad = agrupar === 'dia_semana' ? 7 : 24;
+    const tramos = Array.from({ length: cantidad }, () => []);
+    for (const v of ventas) {
+        tramos[agrupar === 'dia_semana' ? v.fecha.getUTCDay() : v.fecha.getUTCHours()].push(v);
+    }
+    return tramos.map((lista, i) => {
+        const r = resumenVentas(lista);
+        return {
+            tramo: i,
+            etiqueta: agrupar === 'dia_semana' ? DIAS_SEMANA[i] : `${i}hs`,
+            pedidos: r.pedidos,
+            neto: r.neto,
+            ticket_promedio: r.ticket_promedio
+        };
+    });
+}
+
+// Pedidos hasta y por encima de un monto neto: { umbral, menores: { pedidos, neto }, mayores: { pedidos, neto } }
+export function tramosPorMonto(ventas, umbral) {
+    const resumir = lista => ({ pedidos: lista.length, neto: redondear2(lista.reduce((s, v) => s + v.neto, 0)) });
+    return {
+        umbral,
+        menores: resumir(ventas.filter(v => v.neto <= umbral)),
+        mayores: resumir(ventas.filter(v => v.neto > umbral))
+    };
+}
+
+// Mismo largo que [desde, hasta), inmediatamente antes (para comparar contra el período anterior)
+export function periodoAnterior(desde, hasta) {
+    const largo = Math.round((hasta - desde) / DIA_MS);
+    const mismoMes = desde.getUTCDate() === 1 && hasta.getUTCDate() === 1;
+    if (mismoMes) {
+        const meses = (hasta.getUTCFullYear() - desde.getUTCFullYear()) * 12 + hasta.getUTCMonth() - desde.getUTCMonth();
+        const d = new Date(desde);
+        d.setUTCMonth(d.getUTCMonth() - meses);
+        return { desde: d, hasta: new Date(desde) };
+    }
+    return { desde: new Date(desde.getTime() - largo * DIA_MS), hasta: new Date(desde) };
+}
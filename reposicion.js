@@ -0,0 +1,93 @@
+/* =========================================================
+   SUGERENCIAS DE COMPRA (PUNTO DE REPOSICIÓN)
+   ---------------------------------------------------------
+   Funciones puras: con el stock, lo que ya está pedido al
+   proveedor y el promedio de ventas diario de cada producto
+   decide qué reponer y cuánto.
+   punto de pedido = stock mínimo + venta diaria × demora
+   Si stock + en camino no lo supera, se pide lo necesario
+   para llegar al punto de pedido más `cobertura` días.
+   ========================================================= */
+
+export const DIAS_COBERTURA = 30;       // días de venta que tiene que cubrir cada compra
+export const DEMORA_POR_DEFECTO = 7;    // días de entrega si el producto no tiene demora cargada
+
+const redondear2 = n => Math.round(n * 100) / 100;
+
+// productos: [{ id, nombre, categoria, stock, costo, proveedor_id, stock_minimo, demora_reposicion_dias, activo }]
+// promedios: Map id → promedio diario; enCamino / enBorrador: Map id → unidades pendientes de recibir
+// Devuelve [{ id, nombre, categoria, proveedor_id, stock, en_camino, en_borrador, stock_minimo, demora_dias,
+//             venta_diaria, punto_pedido, dias_restantes, cantidad_sugerida, costo_unitario, costo_estimado, urgente }]
+// urgente: ya está en el mínimo o se agota antes de que llegue una compra hecha hoy
+export function calcularSugerenciasCompra(productos, promedios, enCamino = new Map(), enBorrador = new Map(), {
+    cobertura = DIAS_COBERTURA, demoraPorDefecto = DEMORA_POR_DEFECTO
+} = {}) {
+    const sugerencias = [];
+    for (const p of productos || []) {
+        if (p.activo === false) continue;
+        const clave = String(p.id);
+        const ventaDiaria = Number(promedios.get(clave)) || 0;
+        const stockMinimo = Number(p.stock_minimo) || 0;
+        if (ventaDiaria === 0 && stockMinimo === 0) continue;
+
+        const stock = Number(p.stock) || 0;
+        const camino = Number(enCamino.get(clave)) || 0;
+        const borrador = Number(enBorrador.get(clave)) || 0;
+        const demora = p.demora_reposicion_dias === null || p.demora_reposicion_dias === undefined
+            ? demoraPorDefecto
+            : Number(p.demora_reposicion_dias) || 0;
+
+        const puntoPedido = stockMinimo + ventaDiaria * demora;
+        const disponible = stock + camino + borrador;
+        if (disponible > puntoPedido) continue;
+
+        const cantidad = Math.ceil(puntoPedido + ventaDiaria * cobertura - disponible);
+        if (cantidad <= 0) continue;
+
+        const diasRestantes = ventaDiaria > 0 ? Math.max(stock, 0) / ventaDiaria : null;
+        const costo = p.costo === null || p.costo === undefined ? null : Number(p.costo);
+        sugerencias.push({
+            id: p.id,
+            nombre: p.nombre,
+            categoria: p.categoria || null,
+            proveedor_id: p.proveedor_id ?? null,
+            stock,
+            en_camino: camino,
+            en_borrador: borrador,
+            stock_minimo: stockMinimo,
+            demora_dias: demora,
+            venta_diaria: redondear2(ventaDiaria),
+            punto_pedido: Math.ceil(puntoPedido),
+            dias_restantes: diasRestantes === null ? null : Math.floor(diasRestantes),
+            cantidad_sugerida: cantidad,
+            costo_unitario: costo,
+            costo_estimado: costo === null ? null : redondear2(costo * cantidad),
+            urgente: stock <= stockMinimo || (diasRestantes !== null && diasRestantes < demora)
+        });
+    }
+    return sugerencias.sort((a, b) =>
+        (b.urgente - a.urgente) || ((a.dias_restantes ?? Infinity) - (b.dias_restantes ?? Infinity)) || a.nombre.localeCompare(b.nombre));
+}
+
+// proveedores: [{ id, nombre }]. Los productos sin proveedor quedan en un grupo con proveedor_id null.
+// [{ proveedor_id, proveedor, productos, urgentes, unidades, costo_estimado, items }] ordenado por urgencia y monto
+export function agruparPorProveedor(sugerencias, proveedores = []) {
+    const nombres = new Map(proveedores.map(p => [String(p.id), p.nombre]));
+    const grupos = new Map();
+    for (const s of sugerencias) {
+        const clave = s.proveedor_id === null ? 'sin' : String(s.proveedor_id);
+        const g = grupos.get(clave) || {
+            proveedor_id: s.proveedor_id,
+            proveedor: s.proveedor_id === null ? 'Sin proveedor' : nombres.get(clave) || `Proveedor #${s.proveedor_id}`,
+            urgentes: 0, unidades: 0, costo_estimado: 0, items: []
+        };
+        g.items.push(s);
+        g.unidades += s.cantidad_sugerida;
+        g.costo_estimado += s.costo_estimado || 0;
+        if (s.urgente) g.urgentes++;
+        grupos.set(clave, g);
+    }
+    return [...grupos.values()]
+        .map(g => ({ ...g, productos: g.items.length, costo_estimado: redondear2(g.costo_estimado) }))
+        .sort((a, b) => (a.proveedor_id === null) - (b.proveedor_id === null) || b.urgentes - a.urgentes || b.costo_estimado - a.costo_estimado);
+}
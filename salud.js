@@ -0,0 +1,146 @@
+/* =========================================================
+   SALUD DE CLIENTES (RIESGO DE ABANDONO)
+   ---------------------------------------------------------
+   Funciones puras: a partir de las ventas netas (reportes.js)
+   y la deuda de cobranzas arma las métricas de cada cliente
+   por user_id. El atraso se mide contra el intervalo habitual
+   de ese cliente, no contra un plazo fijo: el que compra cada
+   semana ya preocupa a los 20 días, el que compra cada dos
+   meses no.
+   ========================================================= */
+
+export const INTERVALO_POR_DEFECTO = 30;   // días, para clientes con un solo pedido
+export const INTERVALO_MINIMO = 7;         // el que compra día por medio no queda "en riesgo" a los 3 días
+export const ATRASO_RIESGO = 1.5;          // veces su intervalo habitual sin comprar → en riesgo
+export const ATRASO_PERDIDO = 3;           // → perdido
+export const ESTADOS_SALUD = ['activo', 'nuevo', 'en_riesgo', 'perdido', 'sin_compras'];
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const redondear2 = n => Math.round(n * 100) / 100;
+const acotar = n => Math.min(Math.max(n, 0), 1);
+
+function mediana(valores) {
+    if (valores.length === 0) return null;
+    const orden = [...valores].sort((a, b) => a - b);
+    const medio = Math.floor(orden.length / 2);
+    return orden.length % 2 ? orden[medio] : (orden[medio - 1] + orden[medio]) / 2;
+}
+
+// Puntaje 0 a 100: 60 por recencia (atraso ≤ 1 suma todo, ≥ ATRASO_PERDIDO nada)
+// y 40 por deuda (sin deuda suma todo, deber dos tickets promedio o más nada)
+function puntajeSalud(atraso, deuda, ticketPromedio) {
+    const recencia = acotar(1 - (atraso - 1) / (ATRASO_PERDIDO - 1));
+    const cuenta = deuda > 0 ? acotar(1 - deuda / (2 * (ticketPromedio || deuda))) : 1;
+    return Math.round(recencia * 60 + cuenta * 40);
+}
+
+// ventas: salida de ventasNetas (solo se usan las que tienen user_id)
+// clientes: [{ user_id, nombre, deuda, deuda_desde (Date|null), telefono, email }] (clients_v2 + usuarios)
+// Devuelve [{ user_id, cliente, nombre_negocio, telefono, email, pedidos, neto, ticket_promedio,
+//             pedidos_por_mes, intervalo_dias, primera_compra, ultima_compra, dias_desde_ultima, atraso,
+//             deuda, dias_deuda, estado, puntaje }] ordenado de peor a mejor puntaje.
+// Los clientes de cobranzas sin compras en el período entran con pedidos 0 y estado 'sin_compras'.
+export function saludClientes(ventas, clientes = [], { ahora = new Date() } = {}) {
+    const porCliente = new Map();
+    for (const v of ventas) {
+        if (!v.user_id) continue;
+        const clave = String(v.user_id);
+        const g = porCliente.get(clave) || { ventas: [], nombre: v.user, nombre_negocio: v.nombre_negocio };
+        g.ventas.push(v);
+        porCliente.set(clave, g);
+    }
+    const datos = new Map(clientes.filter(c => c.user_id).map(c => [String(c.user_id), c]));
+    const claves = new Set([...porCliente.keys(), ...datos.keys()]);
+
+    const filas = [];
+    for (const clave of claves) {
+        const g = porCliente.get(clave) || { ventas: [] };
+        const c = datos.get(clave) || {};
+        const ventasCliente = g.ventas.sort((a, b) => a.fecha - b.fecha);
+        const deuda = Number(c.deuda) || 0;
+        const diasDeuda = c.deuda_desde ? Math.floor((ahora - c.deuda_desde) / DIA_MS) : null;
+        const base = {
+            user_id: ventasCliente[0]?.user_id ?? c.user_id,
+            cliente: c.nombre || g.nombre || null,
+            nombre_negocio: ventasCliente.at(-1)?.nombre_negocio || g.nombre_negocio || null,
+            telefono: c.telefono || null,
+            email: c.email || null,
+            deuda: redondear2(deuda),
+            dias_deuda: diasDeuda
+        };
+
+        if (ventasCliente.length === 0) {
+            filas.push({
+                ...base, pedidos: 0, neto: 0, ticket_promedio: 0, pedidos_por_mes: 0, intervalo_dias: null,
+                primera_compra: null, ultima_compra: null, dias_desde_ultima: null, atraso: null,
+                estado: 'sin_compras', puntaje: puntajeSalud(ATRASO_PERDIDO, deuda, 0)
+            });
+            continue;
+        }
+
+        // Varios pedidos el mismo día cuentan como una sola compra para el intervalo
+        const dias = [...new Set(ventasCliente.map(v => Math.floor(v.fecha.getTime() / DIA_MS)))];
+        const intervalo = mediana(dias.slice(1).map((d, i) => d - dias[i]));
+        const primera = ventasCliente[0].fecha;
+        const ultima = ventasCliente.at(-1).fecha;
+        const desdeUltima = Math.max(0, Math.floor((ahora - ultima) / DIA_MS));
+        const atraso = desdeUltima / Math.max(intervalo ?? INTERVALO_POR_DEFECTO, INTERVALO_MINIMO);
+        const neto = ventasCliente.reduce((s, v) => s + v.neto, 0);
+        const meses = Math.max(1, (ahora - primera) / (30 * DIA_MS));
+
+        let estado = 'activo';
+        if (atraso >= ATRASO_PERDIDO) estado = 'perdido';
+        else if (atraso >= ATRASO_RIESGO) estado = 'en_riesgo';
+        else if (dias.length === 1) estado = 'nuevo';
+
+        const ticket = neto / ventasCliente.length;
+        filas.push({
+            ...base,
+            pedidos: ventasCliente.length,
+            neto: redondear2(neto),
+            ticket_promedio: redondear2(ticket),
+            pedidos_por_mes: redondear2(ventasCliente.length / meses),
+            intervalo_dias: intervalo === null ? null : Math.round(intervalo),
+            primera_compra: primera.toISOString(),
+            ultima_compra: ultima.toISOString(),
+            dias_desde_ultima: desdeUltima,
+            atraso: redondear2(atraso),
+            estado,
+            puntaje: puntajeSalud(atraso, deuda, ticket)
+        });
+    }
+    return filas.sort((a, b) => a.puntaje - b.puntaje || b.neto - a.neto);
+}
+
+// Listas para actuar sobre las filas de saludClientes:
+// en_riesgo: atrasados respecto de su ritmo, los que más compran primero (a quién llamar)
+// perdidos: dejaron de comprar (compraron en el período, pero hace más de ATRASO_PERDIDO intervalos)
+// deuda_sin_compras: deben plata y no están comprando (a quién cobrar)
+export function listasDeRiesgo(filas, { limite = 50 } = {}) {
+    const porNeto = (a, b) => b.neto - a.neto;
+    return {
+        en_riesgo: filas.filter(f => f.estado === 'en_riesgo').sort(porNeto).slice(0, limite),
+        perdidos: filas.filter(f => f.estado === 'perdido').sort(porNeto).slice(0, limite),
+        deuda_sin_compras: filas
+            .filter(f => f.deuda > 0 && ['en_riesgo', 'perdido', 'sin_compras'].includes(f.estado))
+            .sort((a, b) => b.deuda - a.deuda)
+            .slice(0, limite)
+    };
+}
+
+// { clientes, activo, nuevo, en_riesgo, perdido, sin_compras, deuda_total, puntaje_promedio }
+export function resumenSalud(filas) {
+    const r = { clientes: filas.length, deuda_total: 0, puntaje_promedio: 0 };
+    for (const estado of ESTADOS_SALUD) r[estado] = 0;
+    for (const f of filas) {
+        r[f.estado]++;
+        r.deuda_total += f.deuda;
+        r.puntaje_promedio += f.puntaje;
+    }
+    return {
+        ...r,
+        deuda_total: redondear2(r.deuda_total),
+        puntaje_promedio: filas.length ? Math.round(r.puntaje_promedio / filas.length) : 0
+    };
+}
@@ -4,12 +4,34 @@ import bodyParser from 'body-parser';
 import path from 'path';
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
+import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import {
+    purgarDeudasViejas, agregarDeuda, buscarDeuda, cambiarMontoDeuda, registrarPago,
+    agregarHistorial, topearPagos, saldoPendiente, deudaMasVieja, numeroDeDeuda
+} from './cobranzas.js';
+import {
+    LISTAS_INICIALES, multiplicadorPara, precioDeLista, validarReglas, cotizarItems, agregarCostos, redondearPrecio
+} from './precios.js';
+import multer from 'multer';
+import ExcelJS from 'exceljs';
+import sharp from 'sharp';
+import { parsearCSV, filasDesdeTabla, emparejarFilas } from './importacion.js';
+import { calcularSugeridos, MESES_SUGERIDOS } from './sugeridos.js';
+import { calcularSugerenciasCompra, agruparPorProveedor, DIAS_COBERTURA } from './reposicion.js';
+import {
+    ventasNetas, resumenVentas, reportePeriodos, reporteClientes, reporteProductos, reporteCategorias,
+    reporteHorario, tramosPorMonto, periodoAnterior, AGRUPACIONES_PERIODO, AGRUPACIONES_HORARIO, ORDENES_PRODUCTOS
+} from './reportes.js';
+import { saludClientes, listasDeRiesgo, resumenSalud, ESTADOS_SALUD } from './salud.js';
+import { validarCliente, validarNegocio, normalizarNombre, creditoDisponible } from './clientes.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors({ origin: "*" }));
+// Orígenes permitidos separados por coma (ej: "https://funaz.com,http://localhost:3000"). Sin definir = todos.
+const CORS_ORIGIN = process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(o => o.trim()) : "*";
+app.use(cors({ origin: CORS_ORIGIN }));
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
@@ -18,7 +40,307 @@ const PDF_PATH = path.join(process.cwd(), 'public', 'pedidos-pdf');
 if (!fs.existsSync(PDF_PATH)) fs.mkdirSync(PDF_PATH, { recursive: true });
 
 
-app.post('/api/verificar-stock', async (req, res) => {
+/* =========================================================
+   AUTENTICACIÓN Y ROLES (admin, vendedor, cliente)
+   ========================================================= */
+const ROLES = ['admin', 'vendedor', 'cliente'];
+const TOKEN_DURACION_MS = 12 * 60 * 60 * 1000; // 12 horas
+
+// Si no hay secreto configurado usamos uno aleatorio: los tokens se invalidan al reiniciar.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) console.warn("⚠️ AUTH_SECRET no definido. Las sesiones se perderán al reiniciar el servidor.");
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verificarPassword(password, guardado) {
+    const [algoritmo, salt, hash] = String(guardado || '').split('$');
+    if (algoritmo !== 'scrypt' || !salt || !hash) return false;
+    const calculado = crypto.scryptSync(password, salt, 64);
+    const esperado = Buffer.from(hash, 'hex');
+    return esperado.length === calculado.length && crypto.timingSafeEqual(esperado, calculado);
+}
+
+// Token firmado con HMAC: base64url(payload).base64url(firma)
+function crearToken(usuario) {
+    const payload = Buffer.from(JSON.stringify({
+        id: usuario.id,
+        username: usuario.username,
+        rol: usuario.rol,
+        user_id: usuario.user_id || null,
+        exp: Date.now() + TOKEN_DURACION_MS
+    })).toString('base64url');
+    const firma = crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+    return `${payload}.${firma}`;
+}
+
+function leerToken(token) {
+    const [payload, firma] = String(token || '').split('.');
+    if (!payload || !firma) return null;
+    const esperada = crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+    if (firma.length !== esperada.length || !crypto.timingSafeEqual(Buffer.from(firma), Buffer.from(esperada))) return null;
+    try {
+        const datos = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        if (!datos.exp || datos.exp < Date.now()) return null;
+        return datos;
+    } catch (e) {
+        return null;
+    }
+}
+
+function usuarioPublico(u) {
+    return { id: u.id, username: u.username, rol: u.rol, user_id: u.user_id || null };
+}
+
+// Middleware global: si viene "Authorization: Bearer <token>" válido, deja la sesión en req.usuario
+app.use((req, res, next) => {
+    const header = req.headers.authorization || '';
+    req.usuario = header.startsWith('Bearer ') ? leerToken(header.slice(7)) : null;
+    next();
+});
+
+// requiereRol() = cualquier usuario logueado; requiereRol('admin') = solo esos roles
+function requiereRol(...roles) {
+    return (req, res, next) => {
+        if (!req.usuario) return res.status(401).json({ error: 'Sesión requerida' });
+        if (roles.length > 0 && !roles.includes(req.usuario.rol)) {
+            return res.status(403).json({ error: 'No tenés permisos para esta operación' });
+        }
+        next();
+    };
+}
+
+const soloAdmin = requiereRol('admin');
+const soloPersonal = requiereRol('admin', 'vendedor');
+const soloLogueado = requiereRol();
+
+// Crea el admin inicial desde ADMIN_USER / ADMIN_PASSWORD si todavía no existe ninguno
+async function crearAdminInicial() {
+    const { ADMIN_USER, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USER || !ADMIN_PASSWORD) return;
+    try {
+        const { data, error } = await supabase.from('usuarios').select('id').eq('rol', 'admin').limit(1);
+        if (error) throw error;
+        if (data && data.length > 0) return;
+
+        const { error: insErr } = await supabase.from('usuarios').insert([{
+            username: ADMIN_USER,
+            password_hash: hashPassword(ADMIN_PASSWORD),
+            rol: 'admin'
+        }]);
+        if (insErr) throw insErr;
+        console.log(`👤 Admin inicial "${ADMIN_USER}" creado.`);
+    } catch (e) {
+        console.error("❌ Error creando admin inicial:", e.message || e);
+    }
+}
+crearAdminInicial();
+
+
+/* =========================================================
+   IDEMPOTENCIA (HEADER Idempotency-Key)
+   ========================================================= */
+// Si una escritura trae "Idempotency-Key", la primera respuesta queda guardada y los reintentos
+// con la misma clave la reciben tal cual (header Idempotent-Replayed) sin volver a ejecutar nada.
+// La clave es por usuario; reusarla con otro cuerpo o ruta es un error (422).
+// Solo aplica con sesión, y nunca a /api/auth/*: el cuerpo lleva la contraseña y la respuesta el
+// token, que no tienen que quedar guardados ni poder recuperarse repitiendo la clave.
+const IDEMPOTENCIA_HORAS = 24;
+const IDEMPOTENCIA_PROCESANDO_MS = 2 * 60 * 1000; // pasado esto, una clave "en proceso" se da por abandonada
+const METODOS_ESCRITURA = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+function huellaIdempotencia(req) {
+  // En multipart el cuerpo todavía no está leído: la huella cubre solo método y ruta
+  return crypto.createHash('sha1')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? {})}`)
+    .digest('hex');
+}
+
+app.use('/api', async (req, res, next) => {
+  const clave = req.get('Idempotency-Key');
+  if (!clave || !METODOS_ESCRITURA.has(req.method)) return next();
+  if (!req.usuario || req.path.startsWith('/auth/')) return next();
+  if (clave.length > 200) return res.status(400).json({ error: 'Idempotency-Key demasiado larga (máx. 200)' });
+
+  const sujeto = `u:${req.usuario.id}`;
+  const huella = huellaIdempotencia(req);
+
+  try {
+    for (let intento = 0; intento < 2; intento++) {
+      const { error } = await supabase.from('idempotencia').insert([{
+        sujeto, clave, metodo: req.method, ruta: req.originalUrl, huella
+      }]);
+
+      if (!error) {
+        // Primera vez: se ejecuta la ruta y se guarda lo que responda
+        const json = res.json.bind(res);
+        let cuerpo;
+        res.json = body => { cuerpo = body; return json(body); };
+        res.on('finish', async () => {
+          const filtro = supabase.from('idempotencia');
+          // Los 5xx y las respuestas que no son JSON (PDF) no se guardan: el reintento vuelve a ejecutar
+          const { error: errGuardar } = cuerpo !== undefined && res.statusCode < 500
+            ? await filtro.update({ estado_http: res.statusCode, respuesta: cuerpo }).eq('sujeto', sujeto).eq('clave', clave)
+            : await filtro.delete().eq('sujeto', sujeto).eq('clave', clave);
+          if (errGuardar) console.error('❌ Error guardando respuesta idempotente:', errGuardar.message);
+        });
+        return next();
+      }
+      if (error.code !== '23505') throw error;
+
+      // La clave ya existe
+      const { data: previa, error: errPrevia } = await supabase
+        .from('idempotencia').select('*').eq('sujeto', sujeto).eq('clave', clave).maybeSingle();
+      if (errPrevia) throw errPrevia;
+      if (!previa) continue; // se borró entre medio (la anterior falló): probamos de nuevo
+
+      if (previa.huella !== huella) {
+        return res.status(422).json({ error: 'Esta Idempotency-Key ya se usó para otra operación' });
+      }
+      if (previa.estado_http !== null) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previa.estado_http).json(previa.respuesta);
+      }
+      if (Date.now() - new Date(previa.creado).getTime() < IDEMPOTENCIA_PROCESANDO_MS) {
+        res.set('Retry-After', '2');
+        return res.status(409).json({ error: 'La operación con esta Idempotency-Key todavía se está procesando' });
+      }
+      // Quedó colgada (el servidor se reinició a mitad): la liberamos y la tomamos
+      await supabase.from('idempotencia').delete().eq('sujeto', sujeto).eq('clave', clave).is('estado_http', null);
+    }
+    res.status(409).json({ error: 'No se pudo reservar la Idempotency-Key, reintentá' });
+  } catch (err) {
+    console.error('❌ Error en idempotencia:', err.message || err);
+    res.status(503).json({ error: 'No se pudo verificar la Idempotency-Key' });
+  }
+});
+
+// Las claves viejas se borran una vez por hora
+setInterval(async () => {
+  const limite = new Date(Date.now() - IDEMPOTENCIA_HORAS * 60 * 60 * 1000).toISOString();
+  const { error } = await supabase.from('idempotencia').delete().lt('creado', limite);
+  if (error) console.error('❌ Error purgando claves de idempotencia:', error.message);
+}, 60 * 60 * 1000);
+
+/* --- LOGIN --- */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    if (!username || !password) return res.status(400).json({ error: 'Completa todos los campos' });
+
+    const { data: usuario, error } = await supabase
+      .from('usuarios')
+      .select('*')
+      .eq('username', username)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!usuario || !usuario.activo || !verificarPassword(password, usuario.password_hash)) {
+      return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+
+    res.json({ ok: true, token: crearToken(usuario), usuario: usuarioPublico(usuario) });
+  } catch (err) {
+    console.error('❌ Error en login:', err);
+    res.status(500).json({ error: 'Error interno en login' });
+  }
+});
+
+/* --- REGISTRO (solo cuentas de cliente) --- */
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    if (!username || !password) return res.status(400).json({ error: 'Completa todos los campos' });
+    if (password.length < 6) return res.status(400).json({ error: 'La contraseña debe tener al menos 6 caracteres' });
+
+    const { data: existente } = await supabase.from('usuarios').select('id').eq('username', username).maybeSingle();
+    if (existente) return res.status(409).json({ error: 'Usuario ya existe' });
+
+    const { data: usuario, error } = await supabase
+      .from('usuarios')
+      .insert([{ username, password_hash: hashPassword(password), rol: 'cliente' }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    res.json({ ok: true, token: crearToken(usuario), usuario: usuarioPublico(usuario) });
+  } catch (err) {
+    console.error('❌ Error en registro:', err);
+    res.status(500).json({ error: 'Error interno en registro' });
+  }
+});
+
+/* --- SESIÓN ACTUAL --- */
+app.get('/api/auth/me', soloLogueado, (req, res) => {
+  res.json({ ok: true, usuario: usuarioPublico(req.usuario) });
+});
+
+/* --- ADMINISTRAR CUENTAS --- */
+app.get('/api/usuarios', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('usuarios')
+      .select('id, username, rol, user_id, activo, creado')
+      .order('username', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/usuarios', soloAdmin, async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    const rol = req.body.rol || 'cliente';
+    if (!username || !password) return res.status(400).json({ error: 'Faltan usuario o contraseña' });
+    if (!ROLES.includes(rol)) return res.status(400).json({ error: `Rol inválido (${ROLES.join(', ')})` });
+
+    const { data, error } = await supabase
+      .from('usuarios')
+      .insert([{ username, password_hash: hashPassword(password), rol, user_id: req.body.user_id || null }])
+      .select('id, username, rol, user_id, activo')
+      .single();
+    if (error) throw error;
+    res.json({ ok: true, usuario: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/usuarios/:id', soloAdmin, async (req, res) => {
+  try {
+    const { rol, user_id, activo, password } = req.body;
+    const cambios = {};
+    if (rol !== undefined) {
+      if (!ROLES.includes(rol)) return res.status(400).json({ error: `Rol inválido (${ROLES.join(', ')})` });
+      cambios.rol = rol;
+    }
+    if (user_id !== undefined) cambios.user_id = user_id || null;
+    if (activo !== undefined) cambios.activo = Boolean(activo);
+    if (password) cambios.password_hash = hashPassword(String(password));
+
+    const { data, error } = await supabase
+      .from('usuarios')
+      .update(cambios)
+      .eq('id', req.params.id)
+      .select('id, username, rol, user_id, activo')
+      .single();
+    if (error) throw error;
+    res.json({ ok: true, usuario: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+app.post('/api/verificar-stock', soloLogueado, async (req, res) => {
     try {
         const { ids } = req.body;
         if (!ids || !Array.isArray(ids)) return res.status(400).json({ error: 'IDs inválidos' });
@@ -37,16 +359,12 @@ app.post('/api/verificar-stock', async (req, res) => {
 });
 
 /* --- NUEVO: OBTENER LISTA SIMPLE DE CLIENTES PARA EL CARRITO --- */
-app.get('/api/lista-clientes', async (req, res) => {
+// Clientes activos con sus negocios activos (sin el libro de deudas, que es pesado)
+app.get('/api/lista-clientes', soloPersonal, async (req, res) => {
   try {
-    // Solo traemos nombre y user_id para no cargar datos pesados
-    const { data, error } = await supabase
-      .from('clients_v2')
-      .select('name, user_id')
-      .order('name', { ascending: true });
-
-    if (error) throw error;
-    res.json(data);
+    const data = await leerClientesPaginado('name, user_id, lista_precios, cuit, telefono');
+    const negocios = await negociosPorCliente(data.map(c => c.user_id).filter(Boolean));
+    res.json(data.map(c => ({ ...c, negocios: negocios.get(String(c.user_id)) || [] })));
   } catch (err) {
     console.error('Error listando clientes:', err);
     res.status(500).json({ error: err.message });
@@ -54,163 +372,148 @@ app.get('/api/lista-clientes', async (req, res) => {
 });
 
 
-// MODIFICADO: Ahora acepta un parámetro opcional 'razonDetallada'
-async function registrarMovimiento(prodId, nombre, cambio, stockAnt, stockNue, tipo, ref, razonDetallada = null) {
-  try {
-    // A. Guardamos en la base de datos (Historial oficial)
-    await supabase.from('historial_stock').insert([{
-      producto_id: prodId,
-      producto_nombre: nombre,
-      cantidad_cambio: cambio,
-      stock_anterior: stockAnt,
-      stock_nuevo: stockNue,
-      tipo_movimiento: tipo,
-      referencia_id: ref,
-      razon: razonDetallada, // <--- NUEVA COLUMNA CON INFO DETALLADA
-      fecha: new Date().toISOString()
-    }]);
-
-    const { error } = await supabase
-        .from('monitor_snapshot')
-        .upsert({ id: prodId, stock: stockNue });
-
-    if (error) console.error("❌ Error actualizando snapshot en venta:", error.message);
+// "No vender sin stock": con VENDER_SIN_STOCK=false se rechazan las líneas que dejarían stock negativo
+const VENDER_SIN_STOCK = process.env.VENDER_SIN_STOCK !== 'false';
 
-  } catch (e) {
-    console.error("Error registrando historial:", e);
-  }
+// Aplica todos los cambios de stock de una operación en una sola transacción (ver sql/002).
+// cambios: [{ id, cantidad }] donde cantidad es el cambio (negativo = resta).
+// Devuelve { ok, productos, fallidos }; si ok es false no se modificó ningún producto.
+async function aplicarMovimientosStock(cambios, { tipo, referencia, razon = null, permitirNegativo = VENDER_SIN_STOCK }) {
+    const { data, error } = await supabase.rpc('aplicar_movimientos_stock', {
+        p_items: cambios.map(c => ({ id: c.id, cantidad: Number(c.cantidad) || 0 })),
+        p_tipo: tipo,
+        p_referencia: String(referencia),
+        p_razon: razon,
+        p_permitir_negativo: permitirNegativo
+    });
+    if (error) throw error;
+    return data;
 }
 
-// 2. LÓGICA DEL MONITOR (CON PAGINACIÓN AUTOMÁTICA)
-async function ejecutarLogicaMonitor() {
-    try {
-        // --- A. OBTENER REALIDAD (Tabla Productos - TODOS) ---
-        let productosReales = [];
-        let from = 0;
-        const limit = 1000;
-        let reading = true;
-
-        // Bucle para leer de 1000 en 1000
-        while (reading) {
-            const { data, error } = await supabase
-                .from('productos')
-                .select('*')
-                .range(from, from + limit - 1);
-
-            if (error) {
-                console.error("Error leyendo productos reales:", error);
-                return 0; 
-            }
-
-            if (data && data.length > 0) {
-                productosReales = productosReales.concat(data);
-                if (data.length < limit) reading = false; // Terminamos
-                else from += limit; // Siguiente página
-            } else {
-                reading = false;
-            }
-        }
-        
-        if (productosReales.length === 0) return 0;
-
-        // --- B. OBTENER FOTO ANTERIOR (Tabla monitor_snapshot - TODAS) ---
-        let snapshotData = [];
-        from = 0;
-        reading = true;
-
-        while (reading) {
-            const { data, error } = await supabase
-                .from('monitor_snapshot')
-                .select('*')
-                .range(from, from + limit - 1);
-
-            if (error) {
-                console.error("Error leyendo snapshot:", error);
-                return 0;
-            }
+// Devolución de stock (cancelar o eliminar un pedido): los productos borrados del catálogo no la
+// frenan, se saltean y se aplica el resto.
+// Devuelve { ok, aplicados: [cambios hechos], omitidos: [ids no encontrados], fallidos }.
+async function restaurarStock(cambios, opciones) {
+    if (cambios.length === 0) return { ok: true, aplicados: [], omitidos: [], fallidos: [] };
+    const restauracion = await aplicarMovimientosStock(cambios, { ...opciones, permitirNegativo: true });
+    if (restauracion.ok) return { ok: true, aplicados: cambios, omitidos: [], fallidos: [] };
+
+    const omitidos = restauracion.fallidos.filter(f => f.motivo === 'no_encontrado').map(f => f.id);
+    const existentes = cambios.filter(c => !omitidos.some(id => String(id) === String(c.id)));
+    if (existentes.length === cambios.length) return { ok: false, aplicados: [], omitidos: [], fallidos: restauracion.fallidos };
+    if (existentes.length === 0) return { ok: true, aplicados: [], omitidos, fallidos: [] };
+
+    const reintento = await aplicarMovimientosStock(existentes, { ...opciones, permitirNegativo: true });
+    return reintento.ok
+        ? { ok: true, aplicados: existentes, omitidos, fallidos: [] }
+        : { ok: false, aplicados: [], omitidos, fallidos: reintento.fallidos };
+}
 
-            if (data && data.length > 0) {
-                snapshotData = snapshotData.concat(data);
-                if (data.length < limit) reading = false;
-                else from += limit;
-            } else {
-                reading = false;
-            }
-        }
+// 2. LÓGICA DEL MONITOR
+// Los cambios de stock hechos por fuera del sistema los registra el trigger de productos (sql/006)
+// en el momento. Acá queda un reconciliador de respaldo por si algo se escapó (trigger desactivado,
+// restore de la base, etc.) y el escaneo completo como modo explícito de /api/forzar-monitor.
+
+// Guarda las discrepancias por lotes: un 'ajuste db' por producto ya seguido y la foto nueva de todos
+async function registrarDiscrepancias(diferencias, razon) {
+    const batchSize = 500;
+    const movimientos = diferencias
+        .filter(d => d.stock_foto !== null)
+        .map(d => ({
+            producto_id: d.id,
+            producto_nombre: d.nombre,
+            cantidad_cambio: d.stock_real - d.stock_foto,
+            stock_anterior: d.stock_foto,
+            stock_nuevo: d.stock_real,
+            tipo_movimiento: 'ajuste db',
+            referencia_id: 'MONITOR',
+            razon,
+            fecha: new Date().toISOString()
+        }));
+
+    for (let i = 0; i < movimientos.length; i += batchSize) {
+        const { error } = await supabase.from('historial_stock').insert(movimientos.slice(i, i + batchSize));
+        if (error) throw error;
+    }
 
-        // Mapeo para búsqueda rápida
-        const snapshotMap = {};
-        snapshotData.forEach(item => {
-            snapshotMap[item.id] = Number(item.stock);
-        });
+    const fotos = diferencias.map(d => ({ id: d.id, stock: d.stock_real }));
+    for (let i = 0; i < fotos.length; i += batchSize) {
+        const { error } = await supabase.from('monitor_snapshot').upsert(fotos.slice(i, i + batchSize));
+        if (error) throw error;
+    }
+}
 
-        let cambiosDetectados = 0;
-        let snapshotUpdates = [];
-
-        // --- C. COMPARAR ---
-        for (const prod of productosReales) {
-            const stockReal = Number(prod.stock);
-            const stockFoto = snapshotMap[prod.id]; 
-
-            // Si hay diferencia o es un producto nuevo que no teníamos rastreado
-            if (stockFoto !== undefined && stockReal !== stockFoto) {
-                const diferencia = stockReal - stockFoto;
-                console.log(`⚠️ [Monitor] Cambio detectado en ${prod.nombre}: ${stockFoto} -> ${stockReal}`);
-                
-                await supabase.from('historial_stock').insert([{
-                    producto_id: prod.id,
-                    producto_nombre: prod.nombre,
-                    cantidad_cambio: diferencia,
-                    stock_anterior: stockFoto,
-                    stock_nuevo: stockReal,
-                    tipo_movimiento: 'ajuste db',
-                    referencia_id: 'MONITOR',
-                    razon: 'Ajuste automático por discrepancia en DB',
-                    fecha: new Date().toISOString()
-                }]);
-                
-                cambiosDetectados++;
-            }
+// Escaneo completo: lee productos y monitor_snapshot enteros de 1000 en 1000 y compara en memoria.
+// Devuelve [{ id, nombre, stock_real, stock_foto }] (stock_foto null = producto que no se seguía)
+async function diferenciasEscaneoCompleto() {
+    const productos = await leerProductosPaginado('id, nombre, stock');
 
-            // Agregamos a la lista de actualizaciones si hubo cambio o si es nuevo
-            if (stockFoto === undefined || stockReal !== stockFoto) {
-                snapshotUpdates.push({ id: prod.id, stock: stockReal });
-            }
-        }
+    const snapshotMap = {};
+    let from = 0;
+    const limit = 1000;
+    while (true) {
+        const { data, error } = await supabase.from('monitor_snapshot').select('*').range(from, from + limit - 1);
+        if (error) throw error;
+        (data || []).forEach(item => { snapshotMap[item.id] = Number(item.stock); });
+        if (!data || data.length < limit) break;
+        from += limit;
+    }
 
-        // --- D. ACTUALIZAR SNAPSHOT (Por lotes para no saturar) ---
-        if (snapshotUpdates.length > 0) {
-            const batchSize = 1000;
-            for (let i = 0; i < snapshotUpdates.length; i += batchSize) {
-                const batch = snapshotUpdates.slice(i, i + batchSize);
-                const { error: errUpsert } = await supabase
-                    .from('monitor_snapshot')
-                    .upsert(batch);
-                
-                if (errUpsert) console.error("Error guardando lote de snapshot:", errUpsert);
-            }
-            if (cambiosDetectados > 0) console.log(`✅ Snapshot actualizado (${snapshotUpdates.length} items procesados).`);
-        }
-        
-        return cambiosDetectados;
+    return productos
+        .map(p => ({ id: p.id, nombre: p.nombre, stock_real: Number(p.stock) || 0, stock_foto: snapshotMap[p.id] ?? null }))
+        .filter(d => d.stock_foto === null || d.stock_real !== d.stock_foto);
+}
 
-    } catch (e) {
-        console.error("Error crítico en monitor:", e);
-        return 0;
+// Reconciliador: la base devuelve solo las filas que no coinciden. Sin la función SQL, escaneo completo.
+async function diferenciasReconciliador() {
+    const { data, error } = await supabase.rpc('diferencias_monitor_stock');
+    if (error) {
+        console.warn("⚠️ [Monitor] diferencias_monitor_stock no disponible, uso escaneo completo:", error.message);
+        return diferenciasEscaneoCompleto();
     }
+    return data.map(d => ({
+        id: d.id,
+        nombre: d.nombre,
+        stock_real: Number(d.stock_real),
+        stock_foto: d.stock_foto === null ? null : Number(d.stock_foto)
+    }));
 }
 
-// 3. INICIAR MONITOR AUTOMÁTICO
+// Devuelve { cambios: [{ id, nombre, stock_anterior, stock_nuevo, diferencia }], nuevos }
+async function ejecutarLogicaMonitor({ completo = false } = {}) {
+    const diferencias = completo ? await diferenciasEscaneoCompleto() : await diferenciasReconciliador();
+    if (diferencias.length === 0) return { cambios: [], nuevos: 0 };
+
+    const razon = completo
+        ? 'Ajuste detectado por escaneo completo del monitor'
+        : 'Ajuste detectado por el reconciliador del monitor';
+    await registrarDiscrepancias(diferencias, razon);
+
+    const cambios = diferencias
+        .filter(d => d.stock_foto !== null)
+        .map(d => ({
+            id: d.id,
+            nombre: d.nombre,
+            stock_anterior: d.stock_foto,
+            stock_nuevo: d.stock_real,
+            diferencia: d.stock_real - d.stock_foto
+        }));
+    cambios.forEach(c => console.log(`⚠️ [Monitor] Cambio detectado en ${c.nombre}: ${c.stock_anterior} -> ${c.stock_nuevo}`));
+
+    return { cambios, nuevos: diferencias.length - cambios.length };
+}
+
+// 3. INICIAR RECONCILIADOR DE RESPALDO
+const MONITOR_INTERVALO_MIN = Number(process.env.MONITOR_INTERVALO_MIN) || 10;
+
 function iniciarMonitorStock() {
-    console.log("🔍 [Monitor] Iniciando vigilancia de stock (Vía Tabla DB)...");
+    console.log(`🔍 [Monitor] Cambios por trigger en DB; reconciliador cada ${MONITOR_INTERVALO_MIN} min.`);
 
-    // Ejecución inicial inmediata para cargar la primera foto si está vacía
-    ejecutarLogicaMonitor();
+    const pasada = () => ejecutarLogicaMonitor().catch(e => console.error("Error crítico en monitor:", e));
 
-    // Intervalo automático (cada 60 segundos)
-    setInterval(async () => {
-        await ejecutarLogicaMonitor();
-    }, 60000); 
+    // Pasada inicial para cargar la foto si está vacía
+    pasada();
+    setInterval(pasada, MONITOR_INTERVALO_MIN * 60000);
 }
 
 // Iniciamos el monitor al arrancar el servidor
@@ -222,11 +525,20 @@ iniciarMonitorStock();
    ========================================================= */
 
 /* --- NUEVO: FORZAR MONITOR DESDE FRONTEND --- */
-app.post('/api/forzar-monitor', async (req, res) => {
+// ?modo=completo hace el escaneo completo de siempre; por defecto corre el reconciliador
+app.post('/api/forzar-monitor', soloAdmin, async (req, res) => {
     try {
-        console.log("⚡ Forzando monitor desde frontend...");
-        const cambios = await ejecutarLogicaMonitor();
-        res.json({ ok: true, mensaje: 'Monitor ejecutado', cambios: cambios });
+        const completo = req.query.modo === 'completo' || req.body?.modo === 'completo';
+        console.log(`⚡ Forzando monitor desde frontend (${completo ? 'escaneo completo' : 'reconciliador'})...`);
+        const { cambios, nuevos } = await ejecutarLogicaMonitor({ completo });
+        res.json({
+            ok: true,
+            mensaje: 'Monitor ejecutado',
+            modo: completo ? 'completo' : 'reconciliador',
+            cambios: cambios.length,
+            diferencias: cambios,
+            nuevos
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -234,16 +546,18 @@ app.post('/api/forzar-monitor', async (req, res) => {
 
 /* --- LEER HISTORIAL --- */
 /* --- LEER HISTORIAL (CON RANGO DE FECHAS) --- */
-app.get('/api/historial', async (req, res) => {
+app.get('/api/historial', soloPersonal, async (req, res) => {
   try {
     // 1. Recibimos las fechas del frontend (si no envían, usamos valores por defecto)
-    const { desde, hasta } = req.query;
+    const { desde, hasta, tipo } = req.query;
 
     let query = supabase
       .from('historial_stock')
       .select('*')
       .order('fecha', { ascending: false });
 
+    if (tipo) query = query.eq('tipo_movimiento', tipo);
+
     // 2. Si hay fechas, filtramos. Si no, limitamos a 500 por seguridad.
     if (desde && hasta) {
         query = query.gte('fecha', desde).lte('fecha', hasta);
@@ -261,7 +575,7 @@ app.get('/api/historial', async (req, res) => {
 });
 
 /* --- MARCAR REVISADO --- */
-app.put('/api/historial-check/:id', async (req, res) => {
+app.put('/api/historial-check/:id', soloAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { error } = await supabase
@@ -276,180 +590,151 @@ app.put('/api/historial-check/:id', async (req, res) => {
   }
 });
 
+/* --- AJUSTE MANUAL DE STOCK (CON MOTIVO OBLIGATORIO) --- */
+// Cada motivo se guarda como su propio tipo_movimiento para poder filtrarlo en historial.html
+const MOTIVOS_AJUSTE = {
+  rotura: 'AJUSTE_ROTURA',
+  vencimiento: 'AJUSTE_VENCIMIENTO',
+  conteo: 'AJUSTE_CONTEO',
+  robo: 'AJUSTE_ROBO',
+  devolucion: 'AJUSTE_DEVOLUCION'
+};
+
+// Body: { id, motivo, stock_nuevo } o { id, motivo, cambio } (+ nota opcional)
+app.post('/api/ajustar-stock', soloAdmin, async (req, res) => {
+  try {
+    const { id, stock_nuevo, cambio, nota } = req.body;
+    const motivo = String(req.body.motivo || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const tipo = MOTIVOS_AJUSTE[motivo];
+
+    if (!id) return res.status(400).json({ error: 'Falta el producto' });
+    if (!tipo) return res.status(400).json({ error: `Motivo inválido (${Object.keys(MOTIVOS_AJUSTE).join(', ')})` });
+    if ((stock_nuevo === undefined) === (cambio === undefined)) {
+      return res.status(400).json({ error: 'Indicá stock_nuevo o cambio (uno solo)' });
+    }
+
+    const { data: prod, error: prodErr } = await supabase.from('productos').select('id, nombre, stock').eq('id', id).maybeSingle();
+    if (prodErr) throw prodErr;
+    if (!prod) return res.status(404).json({ error: 'Producto no encontrado' });
+
+    const stockAnterior = Number(prod.stock) || 0;
+    const stockNuevo = stock_nuevo !== undefined ? Number(stock_nuevo) : stockAnterior + Number(cambio);
+    if (!Number.isInteger(stockNuevo) || stockNuevo < 0) {
+      return res.status(400).json({ error: `Stock resultante inválido (${stockNuevo})` });
+    }
+    if (stockNuevo === stockAnterior) return res.json({ ok: true, sinCambios: true, stock: stockAnterior });
+
+    const notaTxt = nota ? `: ${String(nota).trim()}` : '';
+    const razon = `Ajuste manual (${motivo})${notaTxt} por ${req.usuario.username}`;
+
+    // Pasa por aplicar_movimientos_stock para que el trigger del monitor no lo duplique como 'ajuste db'
+    const ajuste = await aplicarMovimientosStock([{ id: prod.id, cantidad: stockNuevo - stockAnterior }], {
+      tipo, referencia: `AJ-${Date.now()}`, razon, permitirNegativo: false
+    });
+    if (!ajuste.ok) return res.status(409).json({ error: 'El stock cambió mientras tanto. Volvé a intentar.', fallidos: ajuste.fallidos });
+
+    const aplicado = ajuste.productos[0];
+    console.log(`🛠️ ${prod.nombre}: ${aplicado.stock_anterior} ➔ ${aplicado.stock_nuevo} (${razon})`);
+    res.json({ ok: true, stock_anterior: aplicado.stock_anterior, stock: aplicado.stock_nuevo, tipo });
+  } catch (err) {
+    console.error('❌ Error ajustando stock:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /* --- ACTUALIZAR PEDIDO (MODIFICAR) Y SINCRONIZAR DEUDA --- */
-app.put('/api/actualizar-pedido/:id', async (req, res) => {
+// Body: { items: [{ id, cantidad }], lista?, devolver_stock? }
+// Precios y stock los calcula el servidor (igual que guardar-pedidos): los precios salen de la lista
+// y el movimiento de stock de la diferencia entre las líneas guardadas y las nuevas. Lo que se agrega
+// siempre descuenta stock; lo que se quita solo vuelve al stock con devolver_stock (modo devolución).
+app.put('/api/actualizar-pedido/:id', soloPersonal, async (req, res) => {
   try {
     const pedidoId = req.params.id;
-    const { items, stockUpdates } = req.body;
+    const { items: pedidoItems, devolver_stock: devolverStock = false } = req.body;
     
-    if (!Array.isArray(items) || items.length === 0) {
+    if (!Array.isArray(pedidoItems) || pedidoItems.length === 0) {
       return res.status(400).json({ error: 'Items inválidos' });
     }
 
     // --- 1. Obtener datos originales para Historial y Verificaciones ---
     const { data: datosPedido } = await supabase
         .from('pedidos')
-        .select('user_id, estado, user, nombre_negocio, fecha')
+        .select('user_id, estado, user, nombre_negocio, fecha, total_devuelto, items, lista_precios')
         .eq('id', pedidoId)
         .single();
 
     if (!datosPedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (datosPedido.estado === 'Cancelado') return res.status(409).json({ error: 'No se puede modificar un pedido cancelado' });
 
     const nombreCliente = datosPedido.user || 'Desconocido';
     const nombreNegocio = datosPedido.nombre_negocio || 'Sin Negocio';
     const fechaPedido = datosPedido.fecha ? new Date(datosPedido.fecha).toLocaleDateString() : 'Sin Fecha';
     const razonString = `Modif. Pedido #${pedidoId} | Cliente: ${nombreCliente} | Negocio: ${nombreNegocio} | Fecha: ${fechaPedido}`;
 
-    // --- 2. Actualizar Stock (Lógica original intacta) ---
-    for (const update of stockUpdates) {
-      const { data: prod } = await supabase.from('productos').select('*').eq('id', update.id).single();
-      if (prod) {
-        const stockAnterior = Number(prod.stock ?? 0);
-        const cantidadRestada = Number(update.cantidad ?? 0);
-        const newStock = stockAnterior - cantidadRestada;
-        
-        const { error: updErr } = await supabase.from('productos').update({ stock: newStock }).eq('id', update.id);
-        
-        if (updErr) console.error('❌ Error actualizando stock:', updErr);
-        else {
-           // Registramos movimiento en historial
-           await registrarMovimiento(update.id, prod.nombre, -cantidadRestada, stockAnterior, newStock, 'MODIF_PEDIDO', pedidoId, razonString);
-        }
+    // --- 2. Precios desde la lista (la elegida en el panel o la que ya tenía el pedido) ---
+    const nombreLista = req.body.lista || datosPedido.lista_precios || null;
+    const lista = await resolverListaPrecios({ nombre: nombreLista, userId: datosPedido.user_id });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${nombreLista}` });
+
+    const itemsPrevios = Array.isArray(datosPedido.items) ? datosPedido.items : JSON.parse(datosPedido.items || '[]');
+    const costosPrevios = new Map(itemsPrevios.map(it => [String(it.id), it.costo_unitario ?? null]));
+
+    const { data: productosDB, error: dbError } = await supabase.from('productos').select('*').in('id', pedidoItems.map(it => it.id));
+    if (dbError) throw dbError;
+    for (const it of pedidoItems) {
+      const prod = productosDB.find(p => String(p.id) === String(it.id));
+      if (!prod) return res.status(400).json({ error: `Producto con ID ${it.id} no encontrado` });
+      // Las líneas que ya estaban pueden quedar aunque el producto se haya dado de baja
+      if (prod.activo === false && !costosPrevios.has(String(it.id))) {
+        return res.status(400).json({ error: `El producto ${prod.nombre} está dado de baja` });
+      }
+      if (!((Number(it.cantidad) || 0) > 0)) return res.status(400).json({ error: `Cantidad inválida para producto ${it.id}` });
+    }
+
+    const cotizado = cotizarItems(productosDB, pedidoItems, lista);
+    const { total } = cotizado;
+    // Las líneas que ya estaban conservan su foto del costo y las agregadas toman el costo de hoy
+    const items = cotizado.items.map(it => costosPrevios.has(String(it.id))
+      ? { ...it, costo_unitario: costosPrevios.get(String(it.id)) }
+      : agregarCostos([it], productosDB)[0]);
+
+    // --- 3. Actualizar Stock (todas las líneas o ninguna) ---
+    const diferencias = new Map();
+    itemsPrevios.forEach(it => diferencias.set(String(it.id), (diferencias.get(String(it.id)) || 0) - (Number(it.cantidad) || 0)));
+    items.forEach(it => diferencias.set(String(it.id), (diferencias.get(String(it.id)) || 0) + it.cantidad));
+    const cambiosStock = [...diferencias.entries()]
+      .filter(([, delta]) => delta > 0 || (delta < 0 && devolverStock))
+      .map(([id, delta]) => ({ id, cantidad: -delta }));
+
+    if (cambiosStock.length > 0) {
+      const reserva = await aplicarMovimientosStock(cambiosStock, { tipo: 'MODIF_PEDIDO', referencia: pedidoId, razon: razonString });
+      if (!reserva.ok) {
+        return res.status(409).json({ error: 'Stock insuficiente', fallidos: reserva.fallidos });
       }
     }
     
-    // --- 3. Calcular nuevo total y actualizar tabla 'pedidos' ---
-    const total = items.reduce((sum, item) => sum + (item.cantidad * item.precio_unitario), 0);
-    
-    const { error } = await supabase.from('pedidos').update({ items, total }).eq('id', pedidoId);
+    // --- 4. Guardar líneas y total ---
+    const { error } = await supabase.from('pedidos').update({ items, total, lista_precios: lista.nombre }).eq('id', pedidoId);
     
     if (error) {
       console.error('❌ Error actualizando pedido:', error);
+      // Deshacemos el movimiento de stock para no dejarlo descontado sin pedido
+      if (cambiosStock.length > 0) {
+        await aplicarMovimientosStock(cambiosStock.map(c => ({ id: c.id, cantidad: -c.cantidad })), {
+          tipo: 'REVERSION', referencia: pedidoId, razon: `Reversión: falló la modificación del Pedido #${pedidoId}`, permitirNegativo: true
+        });
+      }
       return res.status(500).json({ error: `Error al actualizar el pedido: ${error.message}` });
     }
-    if (datosPedido.user_id && datosPedido.estado === 'Preparado') {
-        
+    if (datosPedido.user_id && ESTADOS_CON_DEUDA.includes(datosPedido.estado)) {
         // Ejecutamos en cola para evitar conflictos de escritura
-        runInQueue(datosPedido.user_id, async () => {
-            const { data: clients } = await supabase.from('clients_v2').select('*').eq('user_id', datosPedido.user_id);
-
-            if (clients && clients.length > 0) {
-                const cliente = clients[0];
-                let deudaItems = cliente.data.items || [];            
-                // Buscamos el item de deuda correspondiente a este pedido
-                const indexDeuda = deudaItems.findIndex(i => i.id === String(pedidoId) && i.type === 'debt');
-                if (indexDeuda !== -1) {
-                    const montoNuevo = Math.round(total);
-                    const itemDeuda = deudaItems[indexDeuda];
-                    const montoAnterior = itemDeuda.amount;
-                    const pagadoAnterior = itemDeuda.paid || 0;
-
-                    // Solo actuamos si el monto total cambió
-                    if (montoAnterior !== montoNuevo) {
-                        const oldItemsSnapshot = JSON.parse(JSON.stringify(deudaItems)); // Foto para historial
-                        
-                        // Actualizamos el monto total del item
-                        deudaItems[indexDeuda].amount = montoNuevo;
-                        let mensajeRebalse = "";
-                        let sobrante = 0;
-
-                        // --- DETECCIÓN DE SOBRANTE ---
-                        if (pagadoAnterior > montoNuevo) {
-                            sobrante = Math.round(pagadoAnterior - montoNuevo);
-                            
-                            // Ajustamos el pago de ESTE item al máximo posible (que es el nuevo total)
-                            deudaItems[indexDeuda].paid = montoNuevo; 
-                            
-                            console.log(`💰 Sobrante detectado de $${sobrante}. Iniciando redistribución...`);
-
-                            // --- REDISTRIBUCIÓN ---
-                            
-                            // Función auxiliar para aplicar pago a un índice
-                            const aplicarPago = (idx) => {
-                                if (idx === indexDeuda) return; // No pagarse a sí mismo (ya está topeado)
-                                if (deudaItems[idx].type !== 'debt') return; // Solo pagar deudas
-                                
-                                const deudaPendiente = Math.max(0, deudaItems[idx].amount - (deudaItems[idx].paid || 0));
-                                if (deudaPendiente > 0) {
-                                    const pago = Math.min(sobrante, deudaPendiente);
-                                    deudaItems[idx].paid = Math.round((deudaItems[idx].paid || 0) + pago);
-                                    sobrante -= pago;
-                                    console.log(`   -> Pagados $${pago} al item index ${idx} (${deudaItems[idx].notes || 'Sin nota'})`);
-                                }
-                            };
-
-                            // A. Definir límites de la SECCIÓN actual
-                            let startIdx = 0;
-                            let endIdx = deudaItems.length;
-                            
-                            // Buscar divisor hacia arriba
-                            for (let i = indexDeuda - 1; i >= 0; i--) { 
-                                if (deudaItems[i].type === 'divider') { startIdx = i + 1; break; } 
-                            }
-                            // Buscar divisor hacia abajo
-                            for (let i = indexDeuda + 1; i < deudaItems.length; i++) { 
-                                if (deudaItems[i].type === 'divider') { endIdx = i; break; } 
-                            }
-
-                            // FASE 1: Pagar deudas en la MISMA SECCIÓN
-                            // Recorremos la sección para tapar huecos cercanos
-                            for (let i = startIdx; i < endIdx; i++) {
-                                if (sobrante <= 0) break;
-                                aplicarPago(i);
-                            }
-                            if (sobrante > 0) {
-                                for (let i = deudaItems.length - 1; i >= 0; i--) {
-                                    if (sobrante <= 0) break;
-                                    // Saltamos los que ya revisamos en la fase de sección para no repetir lógica
-                                    if (i >= startIdx && i < endIdx) continue;
-                                    aplicarPago(i);
-                                }
-                            }
-                            
-                            const redistribuido = Math.round(pagadoAnterior - montoNuevo - sobrante); // Lo que logramos ubicar
-                            if (redistribuido > 0) {
-                                mensajeRebalse = ` (+$${redistribuido.toLocaleString()} redistribuidos)`;
-                            }
-                        }
-                        deudaItems = deudaItems.map(item => {
-                            if (item.type === 'debt' && item.paid > item.amount) {
-                                item.paid = item.amount;
-                            }
-                            return item;
-                        });
-
-                        // --- GUARDAR HISTORIAL EN CLIENTE ---
-                        const idVis = String(pedidoId).slice(-4);
-                        const mensajeDetallado = `🔄 Modif. #${idVis} | $${montoAnterior.toLocaleString()} ➔ $${montoNuevo.toLocaleString()}${mensajeRebalse}`;
-
-                        let history = cliente.data.history || [];
-                        history.unshift({
-                            timestamp: Date.now(),
-                            items: oldItemsSnapshot,
-                            action: mensajeDetallado,
-                            type: 'edit'
-                        });
-                        if (history.length > 500) history.pop();
-
-                        // Actualizar DB
-                        const { error: updateClientErr } = await supabase.from('clients_v2').update({
-                            data: { ...cliente.data, items: deudaItems, history: history }
-                        }).eq('id', cliente.id);
-
-                        if(updateClientErr) console.error("❌ Error actualizando cliente:", updateClientErr);
-                        else console.log("✅ Cliente actualizado con redistribución de deuda.");
-                    }
-                }
-            } else {
-                console.log("⚠️ No se encontró cliente para sincronizar deuda.");
-            }
-        });
+        sincronizarDeudaPedido({ ...datosPedido, id: pedidoId, total }, montoAdeudado({ ...datosPedido, total }), 'Modif.');
     } else {
         console.log(`ℹ️ Pedido actualizado, pero no se tocó deuda (Estado: ${datosPedido.estado}, UserID: ${datosPedido.user_id})`);
     }
 
-    // Responder al frontend
-    res.json({ ok: true, mensaje: 'Pedido actualizado correctamente' });
+    // Responder al frontend (con los precios que quedaron)
+    res.json({ ok: true, mensaje: 'Pedido actualizado correctamente', items, total, lista: lista.nombre });
 
   } catch (err) {
     console.error('❌ Exception en actualizar-pedido:', err);
@@ -457,8 +742,33 @@ app.put('/api/actualizar-pedido/:id', async (req, res) => {
   }
 });
 
+/* --- NUMERACIÓN DE PEDIDOS --- */
+// El id del pedido es interno (UUID); lo que ve el cliente es el número correlativo de su
+// punto de venta, que asigna la base al insertar (trigger en sql/015).
+const PUNTO_VENTA_MOSTRADOR = process.env.PUNTO_VENTA || '0001';
+const PUNTO_VENTA_WEB = process.env.PUNTO_VENTA_WEB || '0002';
+
+const nuevoIdPedido = () => crypto.randomUUID();
+
+// "0001-00000042"; los pedidos anteriores a la numeración muestran su id
+function numeroDePedido(p) {
+  if (!p?.numero) return String(p?.id ?? '');
+  return `${p.punto_venta}-${String(p.numero).padStart(8, '0')}`;
+}
+
+async function pedidoNumerado(id) {
+  const { data } = await supabase.from('pedidos').select('id, numero, punto_venta').eq('id', id).maybeSingle();
+  return data || { id };
+}
+
+async function puntoDeVentaActivo(codigo) {
+  const { data, error } = await supabase.from('puntos_venta').select('codigo').eq('codigo', codigo).eq('activo', true).maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+}
+
 /* --- GUARDAR PEDIDO (VENTA / ACEPTAR PETICIÓN) --- */
-app.post('/api/guardar-pedidos', async (req, res) => {
+app.post('/api/guardar-pedidos', soloPersonal, async (req, res) => {
   try {
     const pedidoItems = req.body.pedido;
     // Capturamos el nombre de usuario (fallback a 'usuario' o 'invitado')
@@ -466,60 +776,67 @@ app.post('/api/guardar-pedidos', async (req, res) => {
     
     // 🔥 CORRECCIÓN CLAVE: Capturar IDs y Datos de Negocio
     // Agregamos fallbacks por si el frontend los envía con otros nombres comunes (uid, negocio)
-    const userId = req.body.user_id || req.body.uid || null;
-    const nombreNegocio = req.body.nombre_negocio || req.body.negocio || null; 
+    // negocio_id manda: si viene, el cliente y el nombre del negocio salen de la ficha
+    const cliente = await resolverClienteYNegocio({
+      userId: req.body.user_id || req.body.uid || null,
+      negocioId: req.body.negocio_id ?? null,
+      nombreNegocio: req.body.nombre_negocio || req.body.negocio || null
+    });
+    if (cliente.error) return res.status(400).json({ error: cliente.error });
+    const { userId, negocioId, nombreNegocio } = cliente;
+    const nombrePedido = ['invitado', 'cliente'].includes(String(usuarioPedido).toLowerCase()) && cliente.ficha
+      ? cliente.ficha.name
+      : usuarioPedido;
 
     if (!Array.isArray(pedidoItems) || pedidoItems.length === 0) {
       return res.status(400).json({ error: 'Pedido inválido' });
     }
 
-    let total = 0;
-    const items = [];
-    // Usamos timestamp para el ID, asegurando que sea string
-    const id = Date.now().toString();
+    const id = nuevoIdPedido();
+    const puntoVenta = String(req.body.punto_venta || PUNTO_VENTA_MOSTRADOR);
+    if (!(await puntoDeVentaActivo(puntoVenta))) return res.status(400).json({ error: `Punto de venta ${puntoVenta} inexistente o inactivo` });
+
+    const lista = await resolverListaPrecios({ nombre: req.body.lista || null, userId });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${req.body.lista}` });
+
+    // --- Validación de Items (una sola consulta) ---
+    const ids = pedidoItems.map(it => it.id);
+    const { data: productosDB, error: dbError } = await supabase.from('productos').select('*').in('id', ids);
+    if (dbError) throw dbError;
 
-    // --- Procesamiento de Items y Stock ---
     for (const it of pedidoItems) {
       const prodId = it.id;
-      // Consultar producto actual en DB
-      const { data: prod, error: prodError } = await supabase.from('productos').select('*').eq('id', prodId).single();
-      
-      if (prodError || !prod) {
+      const prod = productosDB.find(p => String(p.id) === String(prodId));
+      if (!prod) {
         return res.status(400).json({ error: `Producto con ID ${prodId} no encontrado` });
       }
-      
-      const cantidadFinal = Number(it.cantidad) || 0;
-      if (cantidadFinal <= 0) {
-        return res.status(400).json({ error: `Cantidad inválida para producto ${prodId}` });
+      if (prod.activo === false) {
+        return res.status(400).json({ error: `El producto ${prod.nombre} está dado de baja` });
       }
-      
-      const stockAnterior = Number(prod.stock) || 0;
-      // Prioridad: Precio del item (si hubo descuento/edición) > Precio DB
-      const precioUnitario = Number(it.precio ?? it.precio_unitario ?? prod.precio) || 0;
-      const subtotal = cantidadFinal * precioUnitario;
-      total += subtotal;
-      
-      items.push({
-        id: prodId,
-        nombre: prod.nombre,
-        cantidad: cantidadFinal,
-        precio_unitario: precioUnitario,
-        subtotal
-      });
-      
-      // Actualizar Stock en DB
-      const newStock = stockAnterior - cantidadFinal;
-      const { error: updErr } = await supabase.from('productos').update({ stock: newStock }).eq('id', prodId);
-      
-      if (updErr) {
-        return res.status(500).json({ error: `Error actualizando stock para producto ${prodId}: ${updErr.message}` });
-      } else {
-        // Registrar movimiento en historial y snapshot
-        await registrarMovimiento(prodId, prod.nombre, -cantidadFinal, stockAnterior, newStock, 'VENTA', id);
+      if (!((Number(it.cantidad) || 0) > 0)) {
+        return res.status(400).json({ error: `Cantidad inválida para producto ${prodId}` });
       }
     }
+
+    // Precios siempre desde la lista (el descuento de cliente regular es la lista 'regular'),
+    // con la foto del costo de hoy para el margen
+    const cotizado = cotizarItems(productosDB, pedidoItems, lista);
+    const items = agregarCostos(cotizado.items, productosDB);
+    const { total } = cotizado;
     
     if (items.length === 0) return res.status(400).json({ error: 'No hay items válidos para el pedido' });
+
+    const credito = await controlarCredito(cliente.ficha, total);
+    if (credito) return res.status(409).json(credito);
+
+    // --- Reserva de Stock (todas las líneas o ninguna) ---
+    const reserva = await aplicarMovimientosStock(
+      items.map(i => ({ id: i.id, cantidad: -i.cantidad })),
+      { tipo: 'VENTA', referencia: id }
+    );
+    if (!reserva.ok) {
+      return res.status(409).json({ error: 'Stock insuficiente', fallidos: reserva.fallidos });
+    }
     
     // Ajuste de fecha local (GMT-3 aprox)
     const fechaLocal = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
@@ -527,24 +844,36 @@ app.post('/api/guardar-pedidos', async (req, res) => {
     // --- 🔥 ARMADO DEL PAYLOAD CON LOS DATOS DE USUARIO Y NEGOCIO ---
     const payload = { 
         id, 
-        user: usuarioPedido, 
+        user: nombrePedido, 
         fecha: fechaLocal, 
         items, 
         total,
         user_id: userId,
-        nombre_negocio: nombreNegocio
+        nombre_negocio: nombreNegocio,
+        negocio_id: negocioId,
+        estado: 'Armando',
+        lista_precios: lista.nombre,
+        punto_venta: puntoVenta
     };
     
     console.log('💾 Guardando pedido completo:', payload);
     
     const { data, error } = await supabase.from('pedidos').insert([payload]).select().single();
-    if (error) return res.status(500).json({ error: `Error al guardar el pedido: ${error.message}` });
+    if (error) {
+      // El pedido no existe: devolvemos el stock reservado
+      await aplicarMovimientosStock(items.map(i => ({ id: i.id, cantidad: i.cantidad })), {
+        tipo: 'REVERSION', referencia: id, razon: `Reversión: no se pudo guardar el Pedido #${id}`, permitirNegativo: true
+      });
+      return res.status(500).json({ error: `Error al guardar el pedido: ${error.message}` });
+    }
     
     const returnedId = data?.id ?? id;
+    await registrarTransicionPedido(returnedId, null, 'Armando', req.usuario.username);
     res.json({
       ok: true,
       mensaje: 'Pedido guardado',
       id: returnedId,
+      numero: numeroDePedido(data),
       endpoint_pdf: `/api/pedidos/${returnedId}/pdf`
     });
 
@@ -556,7 +885,7 @@ app.post('/api/guardar-pedidos', async (req, res) => {
 
 /* --- ELIMINAR PEDIDO (RESTAURAR) --- */
 /* --- ELIMINAR PEDIDO (RESTAURAR) --- */
-app.delete('/api/eliminar-pedido/:id', async (req, res) => {
+app.delete('/api/eliminar-pedido/:id', soloAdmin, async (req, res) => {
   try {
     const id = req.params.id;
     const { recibido } = req.body;
@@ -564,36 +893,44 @@ app.delete('/api/eliminar-pedido/:id', async (req, res) => {
     
     const { data: pedido, error: pedidoError } = await supabase.from('pedidos').select('*').eq('id', id).single();
     if (pedidoError || !pedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+    // Con notas de crédito emitidas el pedido tiene que quedar como registro de la venta
+    if (Number(pedido.total_devuelto) > 0) {
+      return res.status(409).json({ error: 'El pedido tiene devoluciones registradas; no se puede eliminar' });
+    }
 
-    // Restaurar stock si no fue recibido
-    if (!recibido) {
+    // Restaurar stock si no fue recibido. Un pedido cancelado ya lo devolvió al cancelarse.
+    const yaCancelado = estadoDePedido(pedido) === 'Cancelado';
+    let restauracion = null;
+    if (!recibido && !yaCancelado) {
       const razonRestauracion = `Restauración por eliminación de Pedido #${id} (${pedido.user})`; // Info básica
+      console.log(`🔄 Restaurando stock de ${(pedido.items || []).length} productos`);
+
+      // Productos borrados del catálogo no impiden eliminar el pedido
+      restauracion = await restaurarStock(
+        (pedido.items || []).map(it => ({ id: it.id, cantidad: Number(it.cantidad) || 0 })),
+        { tipo: 'ELIMINAR_PEDIDO', referencia: id, razon: razonRestauracion }
+      );
+      if (!restauracion.ok) return res.status(500).json({ error: 'No se pudo restaurar el stock; el pedido no se eliminó', fallidos: restauracion.fallidos });
+    }
 
-      for (const it of pedido.items || []) {
-        const prodId = it.id;
-        console.log(`🔄 Restaurando stock para producto ${prodId} (+${it.cantidad})`);
-        
-        const { data: prod } = await supabase.from('productos').select('*').eq('id', prodId).single();
-        if (prod) {
-          const stockAnterior = Number(prod.stock) || 0;
-          const cantidadRestaurar = Number(it.cantidad) || 0;
-          const newStock = stockAnterior + cantidadRestaurar;
-          
-          const { error: updErr } = await supabase.from('productos').update({ stock: newStock }).eq('id', prodId);
-          
-          if (!updErr) {
-             // MODIFICADO: Pasamos la razón
-             await registrarMovimiento(prodId, prod.nombre, cantidadRestaurar, stockAnterior, newStock, 'ELIMINAR_PEDIDO', id, razonRestauracion);
-          }
-        }
+    const { error: errBorrar } = await supabase.from('pedidos').delete().eq('id', id);
+    if (errBorrar) {
+      console.error('❌ Error eliminando pedido:', errBorrar);
+      // El stock ya había vuelto: lo descontamos de nuevo para no duplicarlo
+      if (restauracion?.aplicados.length > 0) {
+        await aplicarMovimientosStock(restauracion.aplicados.map(c => ({ id: c.id, cantidad: -c.cantidad })), {
+          tipo: 'REVERSION', referencia: id, razon: `Reversión: falló la eliminación del Pedido #${id}`, permitirNegativo: true
+        });
       }
+      return res.status(500).json({ error: `No se pudo eliminar el pedido: ${errBorrar.message}` });
     }
-
-    await supabase.from('pedidos').delete().eq('id', id);
     const { error: delErr } = await supabase.storage.from('pedidos-pdf').remove([`pedido_${id}.pdf`]);
     if (delErr) console.warn('⚠️ Error borrando PDF:', delErr);
 
-    res.json({ ok: true, mensaje: 'Pedido eliminado y stock restaurado', pedidoId: id });
+    const mensaje = restauracion ? 'Pedido eliminado y stock restaurado'
+      : yaCancelado ? 'Pedido eliminado (el stock ya se había devuelto al cancelarlo)'
+      : 'Pedido eliminado';
+    res.json({ ok: true, mensaje, pedidoId: id });
   } catch (err) {
     console.error('❌ Exception en eliminar-pedido:', err);
     res.status(500).json({ error: 'Error interno' });
@@ -601,7 +938,7 @@ app.delete('/api/eliminar-pedido/:id', async (req, res) => {
 });
 
 
-app.post('/api/generar-pdf-masivo', async (req, res) => {
+app.post('/api/generar-pdf-masivo', soloPersonal, async (req, res) => {
   try {
     const { pedidos } = req.body; 
     
@@ -653,27 +990,29 @@ app.post('/api/generar-pdf-masivo', async (req, res) => {
 });
 
 // GENERAR PDF DE PETICIÓN (PREVIEW) - 🔥 AHORA SÍ MUESTRA EL NEGOCIO
-app.post('/api/generar-pdf-peticion', async (req, res) => {
+app.post('/api/generar-pdf-peticion', soloLogueado, async (req, res) => {
   try {
-    const { user, items, total, fecha, nombre_negocio } = req.body;
+    const { user, items: itemsBody, lista: nombreLista, user_id, nombre_negocio } = req.body;
 
-    if (!user || !Array.isArray(items) || items.length === 0) {
+    if (!user || !Array.isArray(itemsBody) || itemsBody.length === 0) {
       return res.status(400).json({ error: 'Datos inválidos' });
     }
 
+    // El ticket se cotiza igual que el pedido, con los precios de la lista
+    const lista = await listaDelRequest(req, { nombre: nombreLista, userId: user_id });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${nombreLista}` });
+    const { data: productosDB, error: dbError } = await supabase.from('productos').select('*').in('id', itemsBody.map(i => i.id));
+    if (dbError) throw dbError;
+    const { items, total } = cotizarItems(productosDB, itemsBody, lista);
+    if (items.length === 0) return res.status(400).json({ error: 'No hay items válidos' });
+
     const fechaLocal = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
 
     const pedido = {
       id: `preview_${Date.now()}`,
       user: user || 'Invitado',
-      items: items.map(item => ({
-        id: item.id,
-        nombre: item.nombre,
-        cantidad: Number(item.cantidad) || 0,
-        precio_unitario: Number(item.precio_unitario) || 0, 
-        subtotal: Number(item.subtotal) || 0
-      })),
-      total: Number(total) || 0,
+      items,
+      total,
       fecha: fechaLocal || new Date().toISOString(),
       nombre_negocio: nombre_negocio 
     };
@@ -695,7 +1034,7 @@ app.post('/api/generar-pdf-peticion', async (req, res) => {
 });
 
 // ELIMINAR PETICIÓN
-app.delete('/api/peticiones/:id', async (req, res) => {
+app.delete('/api/peticiones/:id', soloAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { error } = await supabase.from('Peticiones').delete().eq('id', id);
@@ -706,45 +1045,213 @@ app.delete('/api/peticiones/:id', async (req, res) => {
   }
 });
 
-// LISTAR PRODUCTOS
-app.get('/api/productos', async (req, res) => {
+/* --- ACEPTAR PETICIÓN (PETICIÓN → PEDIDO) --- */
+// Recotiza con la lista del cliente (o body.lista, p. ej. 'regular'), reserva stock, crea el
+// pedido y marca la petición como 'Aceptada', todo en una transacción (rpc aceptar_peticion).
+// Reintentar es seguro: una petición ya aceptada devuelve el mismo pedido.
+app.post('/api/peticiones/:id/aceptar', soloPersonal, async (req, res) => {
+  const peticionId = String(req.params.id);
   try {
-    const step = 1000;
-    let from = 0;
-    let all = [];
-    let done = false;
+    const { data: pet, error: errPet } = await supabase.from('Peticiones').select('*').eq('id', peticionId).maybeSingle();
+    if (errPet) throw errPet;
+    if (!pet) return res.status(404).json({ error: 'Petición no encontrada' });
+    if (pet.estado === 'Aceptada' && pet.pedido_id) {
+      return res.json({
+        ok: true, repetida: true, pedido_id: pet.pedido_id, numero: numeroDePedido(await pedidoNumerado(pet.pedido_id)),
+        endpoint_pdf: `/api/pedidos/${pet.pedido_id}/pdf`
+      });
+    }
 
-    while (!done) {
-      const { data, error } = await supabase.from('productos').select('*', { head: false }).range(from, from + step - 1);
-      if (error) throw error;
-      if (!data.length) done = true;
-      else {
-        all = all.concat(data);
-        from += step;
-      }
+    const itemsPeticion = Array.isArray(pet.items) ? pet.items : JSON.parse(pet.items || '[]');
+    if (itemsPeticion.length === 0) return res.status(400).json({ error: 'La petición no tiene items' });
+
+    const lista = await resolverListaPrecios({ nombre: req.body?.lista || null, userId: pet.user_id });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${req.body?.lista}` });
+
+    const { data: productosDB, error: dbError } = await supabase
+      .from('productos').select('*').in('id', itemsPeticion.map(i => i.id));
+    if (dbError) throw dbError;
+
+    const vendibles = productosDB.filter(p => p.activo !== false);
+    const cotizado = cotizarItems(vendibles, itemsPeticion.map(i => ({ id: i.id, cantidad: i.cantidad })), lista);
+    const items = agregarCostos(cotizado.items, vendibles);
+    const { total, omitidos } = cotizado;
+    if (items.length === 0) return res.status(400).json({ error: 'Ningún producto de la petición sigue disponible', omitidos });
+
+    // Se vuelve a controlar el crédito: entre peticiones y pedidos pudo haberse llenado desde que se envió
+    if (pet.user_id) {
+      const credito = await controlarCredito(await fichaCliente(pet.user_id), total, { excluirPeticion: pet.id });
+      if (credito) return res.status(409).json(credito);
     }
-    res.json(all);
-  } catch (err) {
-    console.error('❌ Error cargando productos:', err);
-    res.status(500).json({ error: 'No se pudieron cargar productos' });
-  }
-});
 
-// LISTAR PEDIDOS
-app.get('/api/pedidos', async (req, res) => {
-  try {
-    const { data, error } = await supabase.from('pedidos').select('*').order('fecha', { ascending: false });
+    const puntoVenta = String(req.body?.punto_venta || PUNTO_VENTA_WEB);
+    if (!(await puntoDeVentaActivo(puntoVenta))) return res.status(400).json({ error: `Punto de venta ${puntoVenta} inexistente o inactivo` });
+
+    const pedido = {
+      id: nuevoIdPedido(),
+      user: pet.nombre,
+      fecha: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString(),
+      items,
+      total,
+      user_id: pet.user_id || null,
+      nombre_negocio: pet.nombre_negocio || null,
+      negocio_id: pet.negocio_id || null,
+      lista_precios: lista.nombre,
+      punto_venta: puntoVenta
+    };
+
+    const { data: resultado, error } = await supabase.rpc('aceptar_peticion', {
+      p_peticion_id: peticionId,
+      p_pedido: pedido,
+      p_usuario: req.usuario.username,
+      p_permitir_negativo: VENDER_SIN_STOCK
+    });
     if (error) throw error;
-    res.json(data);
+
+    if (!resultado?.ok) {
+      if (resultado?.motivo === 'no_existe') return res.status(404).json({ error: 'Petición no encontrada' });
+      return res.status(409).json({ error: 'Stock insuficiente', fallidos: resultado?.fallidos || [] });
+    }
+
+    if (resultado.repetida) console.log(`ℹ️ Petición #${peticionId} ya estaba aceptada (pedido #${resultado.pedido_id})`);
+    else console.log(`✅ Petición #${peticionId} aceptada como pedido #${resultado.pedido_id} por ${req.usuario.username}`);
+    if (omitidos.length > 0) console.warn(`⚠️ Items omitidos al aceptar (ID inexistente, discontinuado o cantidad inválida): ${omitidos.join(', ')}`);
+
+    res.json({
+      ok: true,
+      repetida: resultado.repetida,
+      pedido_id: resultado.pedido_id,
+      numero: numeroDePedido(resultado.repetida ? await pedidoNumerado(resultado.pedido_id) : { ...pedido, numero: resultado.numero }),
+      total: resultado.repetida ? undefined : total,
+      omitidos: resultado.repetida ? [] : omitidos,
+      endpoint_pdf: `/api/pedidos/${resultado.pedido_id}/pdf`
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Error cargando pedidos' });
+    console.error('❌ Error aceptando petición:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// LISTAR PETICIONES
-app.get('/api/peticiones', async (req, res) => {
+// Respuesta JSON con ETag: si el cliente ya tiene esa versión, 304 sin cuerpo.
+// Vary por Authorization porque el precio_lista depende de quién mira.
+function responderConEtag(req, res, cuerpo) {
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(cuerpo)).digest('base64url')}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  res.set('Vary', 'Authorization');
+  if (req.headers['if-none-match'] === etag) return res.status(304).end();
+  res.json(cuerpo);
+}
+
+const PARAMS_CATALOGO = ['q', 'categoria', 'page', 'pageSize', 'orden', 'conStock', 'ids'];
+const ORDENES_CATALOGO = ['nombre', 'precioAsc', 'precioDesc', 'stock', 'nuevos'];
+
+// LISTAR PRODUCTOS
+// Sin parámetros de catálogo devuelve el array completo (herramientas del panel).
+// Con ?q=&categoria=&page=&pageSize=&orden=&conStock=&ids= devuelve { items, total, page, pageSize, pages }.
+app.get('/api/productos', async (req, res) => {
+  try {
+    // Los discontinuados no se muestran; el personal puede verlos con ?inactivos=true
+    const esPersonal = req.usuario && ['admin', 'vendedor'].includes(req.usuario.rol);
+    const incluirInactivos = esPersonal && req.query.inactivos === 'true';
+
+    // precio = base (panel); precio_lista = lo que paga quien mira el catálogo. El costo solo lo ve el personal.
+    const lista = await listaDelRequest(req, { nombre: req.query.lista });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${req.query.lista}` });
+    const conPrecio = ({ costo, ...p }) => ({ ...p, ...(esPersonal ? { costo } : {}), precio_lista: precioDeLista(p, lista), lista: lista.nombre });
+
+    if (!PARAMS_CATALOGO.some(k => req.query[k] !== undefined)) {
+      const step = 1000;
+      let from = 0;
+      let all = [];
+      let done = false;
+
+      while (!done) {
+        const { data, error } = await supabase.from('productos').select('*', { head: false }).range(from, from + step - 1);
+        if (error) throw error;
+        if (!data.length) done = true;
+        else {
+          all = all.concat(data);
+          from += step;
+        }
+      }
+
+      if (!incluirInactivos) all = all.filter(p => p.activo !== false);
+      return responderConEtag(req, res, all.map(conPrecio));
+    }
+
+    const orden = req.query.orden || 'nombre';
+    if (!ORDENES_CATALOGO.includes(orden)) return res.status(400).json({ error: `Orden inválido (${ORDENES_CATALOGO.join(', ')})` });
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 24, 1), 200);
+    const ids = req.query.ids
+      ? String(req.query.ids).split(',').map(Number).filter(Number.isInteger).slice(0, 200)
+      : null;
+
+    const { data, error } = await supabase.rpc('buscar_productos', {
+      p_q: req.query.q ? String(req.query.q).trim() : null,
+      p_categoria: req.query.categoria && req.query.categoria !== 'Todos' ? String(req.query.categoria) : null,
+      p_con_stock: req.query.conStock === 'true',
+      p_incluir_inactivos: incluirInactivos,
+      p_ids: ids,
+      p_orden: orden,
+      p_limite: pageSize,
+      p_offset: (page - 1) * pageSize
+    });
+    if (error) throw error;
+
+    responderConEtag(req, res, {
+      items: data.items.map(conPrecio),
+      total: data.total,
+      page,
+      pageSize,
+      pages: Math.ceil(data.total / pageSize),
+      lista: lista.nombre
+    });
+  } catch (err) {
+    console.error('❌ Error cargando productos:', err);
+    res.status(500).json({ error: 'No se pudieron cargar productos' });
+  }
+});
+
+// UN PRODUCTO
+app.get('/api/productos/:id', async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: 'Producto no encontrado' });
+    const { data: producto, error } = await supabase.from('productos').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+
+    const esPersonal = req.usuario && ['admin', 'vendedor'].includes(req.usuario.rol);
+    if (!producto || (producto.activo === false && !esPersonal)) return res.status(404).json({ error: 'Producto no encontrado' });
+
+    const lista = await listaDelRequest(req, { nombre: req.query.lista });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${req.query.lista}` });
+    const { costo, ...publico } = producto;
+    responderConEtag(req, res, { ...publico, ...(esPersonal ? { costo } : {}), precio_lista: precioDeLista(producto, lista), lista: lista.nombre });
+  } catch (err) {
+    console.error('❌ Error cargando producto:', err);
+    res.status(500).json({ error: 'No se pudo cargar el producto' });
+  }
+});
+
+// LISTAR PEDIDOS
+app.get('/api/pedidos', soloPersonal, async (req, res) => {
   try {
-    const { data, error } = await supabase.from('Peticiones').select('*').order('fecha', { ascending: false });
+    const { data, error } = await supabase.from('pedidos').select('*').order('fecha', { ascending: false });
+    if (error) throw error;
+    // cliente_nombre = nombre de la ficha, para agrupar aunque el texto de "user" esté escrito distinto
+    const nombres = await nombresDeClientes(data.map(p => p.user_id).filter(Boolean));
+    res.json(data.map(p => ({ ...p, cliente_nombre: nombres.get(String(p.user_id)) || null })));
+  } catch (err) {
+    res.status(500).json({ error: 'Error cargando pedidos' });
+  }
+});
+
+// LISTAR PETICIONES
+app.get('/api/peticiones', soloPersonal, async (req, res) => {
+  try {
+    // Las aceptadas quedan guardadas con su pedido_id, pero ya no están pendientes
+    const { data, error } = await supabase.from('Peticiones').select('*').neq('estado', 'Aceptada').order('fecha', { ascending: false });
     if (error) throw error;
     res.json(data);
   } catch (err) {
@@ -753,16 +1260,37 @@ app.get('/api/peticiones', async (req, res) => {
 });
 
 // HISTORIAL DE USUARIO
-app.get('/api/mis-pedidos', async (req, res) => {
+const ETIQUETAS_ESTADO = {
+  'Petición': '⏳ Pendiente', 'Armando': '📦 Armando', 'Preparado': '✅ Preparado',
+  'Entregado': '🚚 Entregado', 'Cobrado': '💰 Cobrado', 'Cancelado': '❌ Cancelado'
+};
+const COLORES_ESTADO = {
+  'Petición': '#FF9800', 'Armando': '#FF9800', 'Preparado': '#4CAF50',
+  'Entregado': '#2196F3', 'Cobrado': '#607D8B', 'Cancelado': '#F44336'
+};
+
+// Copia del pedido/petición sin el costo de las líneas
+function sinCostos(p) {
+  const items = Array.isArray(p.items) ? p.items : JSON.parse(p.items || '[]');
+  return { ...p, items: items.map(({ costo_unitario, ...resto }) => resto) };
+}
+
+// Un cliente ve siempre el suyo (sale de la sesión); el personal puede consultar otro con ?uid=
+app.get('/api/mis-pedidos', soloLogueado, async (req, res) => {
   try {
-    const userId = req.query.uid;
-    if (!userId) return res.status(400).json({ error: 'Falta User ID' });
+    const userId = await userIdDeSesion(req);
+    if (!userId) {
+      return res.status(req.usuario.rol === 'cliente' ? 409 : 400).json({
+        error: req.usuario.rol === 'cliente' ? 'Tu usuario todavía no está vinculado a una cuenta de cliente' : 'Falta User ID (?uid=)'
+      });
+    }
 
-    // 1. Buscar en Peticiones (Pendientes)
+    // 1. Buscar en Peticiones (Pendientes; las aceptadas ya figuran como pedido)
     const { data: peticiones, error: errPet } = await supabase
       .from('Peticiones')
       .select('*')
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .neq('estado', 'Aceptada');
     if (errPet) throw errPet;
 
     // 2. Buscar en Pedidos (Aprobados)
@@ -772,13 +1300,15 @@ app.get('/api/mis-pedidos', async (req, res) => {
       .eq('user_id', userId);
     if (errPed) throw errPed;
 
-    // 3. Unificar y etiquetar
+    // 3. Unificar y etiquetar (el costo de cada línea es interno: el cliente no lo ve)
+    const verCostos = req.usuario.rol !== 'cliente';
     const listaPeticiones = (peticiones || []).map(p => ({
-      ...p, tipo: 'peticion', estado_etiqueta: '⏳ Pendiente', color_estado: '#FF9800'
-    }));
-    const listaPedidos = (pedidos || []).map(p => ({
-      ...p, tipo: 'pedido', estado_etiqueta: '✅ Preparado', color_estado: '#4CAF50'
+      ...(verCostos ? p : sinCostos(p)), tipo: 'peticion', estado_etiqueta: '⏳ Pendiente', color_estado: '#FF9800'
     }));
+    const listaPedidos = (pedidos || []).map(p => {
+      const estado = estadoDePedido(p);
+      return { ...(verCostos ? p : sinCostos(p)), tipo: 'pedido', estado_etiqueta: ETIQUETAS_ESTADO[estado] || estado, color_estado: COLORES_ESTADO[estado] || '#4CAF50' };
+    });
 
     const historial = [...listaPeticiones, ...listaPedidos].sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
 
@@ -790,11 +1320,14 @@ app.get('/api/mis-pedidos', async (req, res) => {
 });
 
 // OBTENER PDF DE UN PEDIDO
-app.get('/api/pedidos/:id/pdf', async (req, res) => {
+app.get('/api/pedidos/:id/pdf', soloLogueado, async (req, res) => {
   try {
     const pedidoId = req.params.id;
     const { data: pedido, error: pedidoErr } = await supabase.from('pedidos').select('*').eq('id', pedidoId).single();
     if (pedidoErr || !pedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (await esAjenoAlCliente(req, pedido.user_id)) {
+      return res.status(403).json({ error: 'No tenés permisos para ver este pedido' });
+    }
     
     const pdfBuffer = await generarPDF(pedido);
     const pdfFileName = `pedido_${pedidoId}.pdf`;
@@ -814,13 +1347,22 @@ app.get('/api/pedidos/:id/pdf', async (req, res) => {
 
 // REEMPLAZA ESTO EN TU server.js
 
-app.post('/api/Enviar-Peticion', async (req, res) => {
+app.post('/api/Enviar-Peticion', soloLogueado, async (req, res) => {
     try {
         console.log('📦 Recibiendo pedido:', JSON.stringify(req.body, null, 2));
-        let { nombre, telefono, items: pedidoItems, total: providedTotal, user_id, nombre_negocio } = req.body;
+        let { nombre, telefono, items: pedidoItems, total: providedTotal, user_id, nombre_negocio, negocio_id } = req.body;
         
         if (nombre && nombre.startsWith('Nombre: ')) nombre = nombre.slice('Nombre: '.length).trim();
+        // Los clientes siempre piden a su propia cuenta, sin importar lo que mande el frontend
+        if (req.usuario.rol === 'cliente') user_id = req.usuario.user_id;
         if (!nombre || !Array.isArray(pedidoItems) || pedidoItems.length === 0) return res.status(400).json({ error: 'Petición inválida' });
+
+        // Un cliente solo puede elegir negocios propios (resolverClienteYNegocio valida que sean de user_id)
+        const cliente = await resolverClienteYNegocio({
+            userId: user_id || null, negocioId: negocio_id ?? null, nombreNegocio: nombre_negocio || null,
+            inferirCliente: req.usuario.rol !== 'cliente'
+        });
+        if (cliente.error) return res.status(400).json({ error: cliente.error });
         
         // 1. EXTRAER TODOS LOS IDs
         const ids = pedidoItems.map(i => i.id);
@@ -836,50 +1378,33 @@ app.post('/api/Enviar-Peticion', async (req, res) => {
             return res.status(500).json({ error: 'Error verificando productos en el servidor.' });
         }
 
-        let total = 0;
-        const processedItems = [];
-
-        // 3. PROCESAR EN MEMORIA
-        for (const it of pedidoItems) {
-            // Buscamos el producto en el array que ya trajimos (no hacemos fetch de nuevo)
-            const prod = productosDB.find(p => String(p.id) === String(it.id));
-
-            if (!prod) {
-                console.warn(`⚠️ Producto ID ${it.id} no encontrado en DB, se omitirá.`);
-                // Opcional: Podrías lanzar error aquí si quieres ser estricto
-                continue; 
-            }
-            
-            const cantidadFinal = Number(it.cantidad) || 0;
-            if (cantidadFinal <= 0) continue;
-            
-            const precioBase = Number(prod.precio) || 0;
-            const precioUnitario = precioBase * 1.10 * 1.02;
-            const subtotal = cantidadFinal * precioUnitario;
-            total += subtotal;
-            
-            processedItems.push({ 
-                id: prod.id, 
-                nombre: prod.nombre, 
-                cantidad: cantidadFinal, 
-                precio_unitario: precioUnitario, 
-                subtotal 
-            });
-        }
+        // 3. PRECIOS DE LA LISTA DEL CLIENTE (los que manda el frontend se ignoran)
+        const lista = await resolverListaPrecios({ userId: cliente.userId });
+        const vendibles = productosDB.filter(p => p.activo !== false);
+        const cotizado = cotizarItems(vendibles, pedidoItems, lista);
+        const processedItems = agregarCostos(cotizado.items, vendibles);
+        const { total, omitidos } = cotizado;
+        if (omitidos.length > 0) console.warn(`⚠️ Items omitidos (ID inexistente, discontinuado o cantidad inválida): ${omitidos.join(', ')}`);
         
         if (processedItems.length === 0) return res.status(400).json({ error: 'No se pudieron procesar los items (Stock o ID inválido)' });
+
+        const credito = await controlarCredito(cliente.ficha, total);
+        if (credito) return res.status(409).json(credito);
         
-        const totalInt = Math.round(total);
+        // El total es la suma de los subtotales (redondeados a centavos), igual que en guardar-pedidos:
+        // redondearlo aparte deja el encabezado distinto de la suma de las líneas
         const fechaLocal = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
 
         const payload = {
             nombre,
             telefono: telefono || null,
             items: processedItems,
-            total: totalInt,
+            total,
             fecha: fechaLocal,
-            user_id: user_id || null,            
-            nombre_negocio: nombre_negocio || null 
+            user_id: cliente.userId,
+            nombre_negocio: cliente.nombreNegocio,
+            negocio_id: cliente.negocioId,
+            lista_precios: lista.nombre
         };
         
         console.log('💾 Guardando petición validada:', payload);
@@ -898,7 +1423,15 @@ app.post('/api/Enviar-Peticion', async (req, res) => {
    GENERADOR DE PDF (LÓGICA COMPARTIDA)
    ========================================================= */
 
-async function dibujarPedidoEnDoc(doc, pedido, logoBuffer) {
+// opciones: para reusar el formato en otros comprobantes (ej: nota de crédito)
+async function dibujarPedidoEnDoc(doc, pedido, logoBuffer, opciones = {}) {
+    const {
+        titulo = 'PEDIDO',
+        etiquetaNumero = 'Factura N°',
+        numero = numeroDePedido(pedido),
+        referencia = null,
+        pie = '¡Gracias por su compra!'
+    } = opciones;
     if (logoBuffer) {
       doc.image(logoBuffer, 100, 20, { width: 100 });
     }
@@ -915,7 +1448,8 @@ async function dibujarPedidoEnDoc(doc, pedido, logoBuffer) {
     
     doc.font('Helvetica').fontSize(14);
     doc.text(`Dirección: Calle Colon 1740 Norte`);
-    doc.text(`Factura N°: ${pedido.id || ''}`);
+    doc.text(`${etiquetaNumero}: ${numero}`);
+    if (referencia) doc.text(referencia);
     doc.text(`Pedidos: 2645583761`);
     doc.text(`Consultas: 2645156933`);
     doc.moveDown(1.5);
@@ -927,7 +1461,7 @@ async function dibujarPedidoEnDoc(doc, pedido, logoBuffer) {
     doc.moveDown(1.5);
     
     // Título
-    doc.fontSize(18).font('Helvetica-Bold').text('PEDIDO', { underline: true, align: 'center' });
+    doc.fontSize(18).font('Helvetica-Bold').text(titulo, { underline: true, align: 'center' });
     doc.moveDown(2);
     
     // Ítems
@@ -951,11 +1485,11 @@ async function dibujarPedidoEnDoc(doc, pedido, logoBuffer) {
     doc.moveDown(1.5);
     doc.fontSize(20).font('Helvetica-Bold').text(`TOTAL: $${total.toFixed(2)}`, { align: 'center' });
     doc.moveDown(3);
-    doc.fontSize(14).text('¡Gracias por su compra!', { align: 'center' });
+    if (pie) doc.fontSize(14).text(pie, { align: 'center' });
 }
 
 // Función para generar PDF individual (usa la lógica compartida)
-async function generarPDF(pedido) {
+async function generarPDF(pedido, opciones = {}) {
   return new Promise(async (resolve, reject) => {
     const doc = new PDFDocument({
       size: [267, 862], 
@@ -970,7 +1504,7 @@ async function generarPDF(pedido) {
         const { data: logoBlob } = await supabase.storage.from('imagenes').download('logo.png');
         const logoBuffer = logoBlob ? Buffer.from(await logoBlob.arrayBuffer()) : null;
         
-        await dibujarPedidoEnDoc(doc, pedido, logoBuffer);
+        await dibujarPedidoEnDoc(doc, pedido, logoBuffer, opciones);
         doc.end();
     } catch (e) {
         reject(e);
@@ -1026,217 +1560,459 @@ function runInQueue(userId, task) {
 }
 
 /* =========================================================
-   ENDPOINT MODIFICADO (REEMPLAZAR EL TUYO POR ESTE)
+   DEUDA DEL PEDIDO EN COBRANZAS (clients_v2)
    ========================================================= */
-app.put('/api/actualizar-estado-pedido/:id', async (req, res) => {
+// Lo que el cliente debe por el pedido: el total menos lo devuelto con notas de crédito
+function montoAdeudado(pedido) {
+    return Math.max(0, Math.round((Number(pedido.total) || 0) - (Number(pedido.total_devuelto) || 0)));
+}
+
+// Crea o actualiza el item de deuda del pedido. Con montoNuevo = 0 se anula (ej: cancelación)
+// y lo ya pagado se redistribuye. Corre en la cola del cliente para no pisar otras escrituras.
+// OJO, cambio respecto del flujo viejo de actualizar-pedido (que solo ajustaba una deuda existente):
+// - siempre purga las deudas saldadas de más de MESES_RETENCION meses antes de guardar;
+// - si el pedido no tiene deuda en cobranzas (y montoNuevo > 0), la crea en vez de ignorarlo.
+function sincronizarDeudaPedido(pedido, montoNuevo = montoAdeudado(pedido), etiqueta = 'Update Pedido') {
+    if (!pedido.user_id) {
+        console.log(`⚠️ Pedido sin user_id. Se omite cobranza.`);
+        return Promise.resolve();
+    }
+    return runInQueue(pedido.user_id, async () => {
+        const cliente = await buscarClienteCobranzas(pedido.user_id);
+        if (!cliente) {
+            console.log(`⚠️ No existe perfil de cobranzas para user_id: ${pedido.user_id}`);
+            return;
+        }
+
+        // 🧹 Limpieza de deudas saldadas viejas
+        let items = purgarDeudasViejas(cliente.data.items || []);
+        const oldItemsSnapshot = items;
+
+        // El número impreso del pedido (punto de venta + número), no el UUID
+        const idPedido = numeroDePedido(pedido.numero ? pedido : await pedidoNumerado(pedido.id));
+        const nombreNegocio = pedido.nombre_negocio ? ` | ${pedido.nombre_negocio}` : '';
+        let mensajeHistorial = '';
+        let tipoAccion = 'debt';
+
+        if (buscarDeuda(items, pedido.id) === -1) {
+            // CASO A: ES NUEVO (Crear). Con monto 0 no hay nada que anular.
+            if (montoNuevo === 0) {
+                console.log(`ℹ️ El pedido #${idPedido} no tiene deuda registrada. No se toca.`);
+                return;
+            }
+            items = agregarDeuda(items, {
+                id: pedido.id,
+                amount: montoNuevo,
+                date: pedido.fecha || new Date().toISOString(),
+                notes: pedido.nombre_negocio || '',
+                numero: idPedido
+            });
+            mensajeHistorial = `📦 Nuevo Pedido #${idPedido}${nombreNegocio} ($${montoNuevo.toLocaleString('es-AR')})`;
+        } else {
+            // CASO B: YA EXISTE (cambia el monto y se redistribuye el rebalse)
+            const cambio = cambiarMontoDeuda(items, pedido.id, montoNuevo, { notes: pedido.nombre_negocio });
+            if (!cambio.cambio) {
+                console.log(`ℹ️ El pedido #${idPedido} ya existe y el monto es igual. No se toca.`);
+                return;
+            }
+            items = cambio.items;
+            // Las deudas creadas antes de guardar el número lo toman ahora
+            const indice = buscarDeuda(items, pedido.id);
+            if (!items[indice].numero) items[indice].numero = idPedido;
+            const mensajeRebalse = cambio.redistribuido > 0 ? ` (+$${cambio.redistribuido.toLocaleString('es-AR')} redistribuidos)` : '';
+            mensajeHistorial = `🔄 ${etiqueta} #${idPedido}${nombreNegocio} ($${cambio.montoAnterior.toLocaleString('es-AR')} ➔ $${montoNuevo.toLocaleString('es-AR')})${mensajeRebalse}`;
+            tipoAccion = 'edit';
+        }
+
+        const history = agregarHistorial(cliente.data.history, oldItemsSnapshot, mensajeHistorial, tipoAccion);
+        const { error } = await guardarCuentaCliente(cliente, items, history);
+        if (error) console.error("❌ Error actualizando cliente:", error);
+        else console.log(`✅ Guardado: ${mensajeHistorial}`);
+    });
+}
+
+async function buscarClienteCobranzas(userId) {
+    const { data: clientes } = await supabase.from('clients_v2').select('*').eq('user_id', userId);
+    return clientes && clientes.length > 0 ? clientes[0] : null;
+}
+
+// Guarda items e historial del cliente (con la última protección paid <= amount)
+async function guardarCuentaCliente(cliente, items, history) {
+    return supabase
+        .from('clients_v2')
+        .update({ data: { ...cliente.data, items: topearPagos(items), history } })
+        .eq('id', cliente.id);
+}
+
+/* --- REGISTRAR PAGO DE UN CLIENTE --- */
+const METODOS_PAGO = { efectivo: 'Efectivo', transferencia: 'Transferencia', cheque: 'Cheque' };
+
+app.post('/api/clientes/:userId/pagos', soloPersonal, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { estado } = req.body; 
+    const { userId } = req.params;
+    const monto = Math.round(Number(req.body.monto));
+    const metodo = String(req.body.metodo || '').toLowerCase();
+    const destinoId = req.body.deuda_id ?? null;
+    const nota = req.body.nota ? String(req.body.nota).trim() : '';
+
+    if (!(monto > 0)) return res.status(400).json({ error: 'Monto inválido' });
+    if (!METODOS_PAGO[metodo]) {
+      return res.status(400).json({ error: `Método inválido (${Object.keys(METODOS_PAGO).join(', ')})` });
+    }
 
-    // 1. Actualizar estado en pedidos (Esto pasa inmediatamente)
-    const { data: pedidoActualizado, error } = await supabase
-      .from('pedidos')
-      .update({ estado })
-      .eq('id', id)
-      .select()
-      .single();
+    // Misma cola que las actualizaciones de pedidos: nadie escribe la cuenta a la vez
+    const resultado = await runInQueue(userId, async () => {
+      const cliente = await buscarClienteCobranzas(userId);
+      if (!cliente) return { status: 404, body: { error: 'Cliente sin perfil de cobranzas' } };
+
+      const itemsAnteriores = cliente.data.items || [];
+      if (destinoId !== null && buscarDeuda(itemsAnteriores, destinoId) === -1) {
+        return { status: 404, body: { error: `No existe la deuda ${destinoId}` } };
+      }
+
+      const pago = registrarPago(itemsAnteriores, monto, { destinoId });
+      if (pago.sobrante > 0) {
+        return {
+          status: 400,
+          body: { error: `El pago supera la deuda pendiente ($${saldoPendiente(itemsAnteriores).toLocaleString('es-AR')})` }
+        };
+      }
+
+      const destinoTxt = destinoId !== null
+        ? ` ➔ Pedido #${numeroDeDeuda(itemsAnteriores[buscarDeuda(itemsAnteriores, destinoId)]) || String(destinoId).slice(-4)}`
+        : '';
+      const notaTxt = nota ? ` | ${nota}` : '';
+      const action = `💵 Pago ${METODOS_PAGO[metodo]} $${monto.toLocaleString('es-AR')}${destinoTxt}${notaTxt} (${req.usuario.username})`;
+      const history = agregarHistorial(cliente.data.history, itemsAnteriores, action, 'payment');
+
+      const { error } = await guardarCuentaCliente(cliente, pago.items, history);
+      if (error) return { status: 500, body: { error: error.message } };
+
+      console.log(`✅ ${action}`);
+      return {
+        status: 200,
+        body: { ok: true, aplicado: pago.aplicado, detalle: pago.detalle, saldo: saldoPendiente(pago.items) }
+      };
+    });
+
+    if (!resultado) return res.status(500).json({ error: 'Error registrando el pago' });
+    res.status(resultado.status).json(resultado.body);
+  } catch (err) {
+    console.error('❌ Error registrando pago:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   ESTADO DE CUENTA DEL CLIENTE (PDF)
+   ========================================================= */
+const FORMATOS_ESTADO_CUENTA = {
+    ticket: { size: [267, 862], margins: { top: 20, bottom: 20, left: 20, right: 20 }, fuente: 8, titulo: 14 },
+    a4: { size: 'A4', margins: { top: 40, bottom: 40, left: 40, right: 40 }, fuente: 10, titulo: 18 }
+};
+
+async function cargarLogo() {
+    try {
+        const { data: logoBlob } = await supabase.storage.from('imagenes').download('logo.png');
+        return logoBlob ? Buffer.from(await logoBlob.arrayBuffer()) : null;
+    } catch (e) {
+        console.error("No se pudo cargar logo, continuando sin él.");
+        return null;
+    }
+}
 
+// Separa los items en secciones (cortadas por 'divider') y las ordena de la más vieja a la más nueva
+function seccionesDeCuenta(items) {
+    const secciones = [{ titulo: null, deudas: [] }];
+    for (const item of items) {
+        if (item.type === 'divider') {
+            secciones.push({ titulo: item.notes || item.label || item.name || 'Sección', deudas: [] });
+        } else if (item.type === 'debt') {
+            secciones[secciones.length - 1].deudas.push(item);
+        }
+    }
+    // La lista guarda lo más nuevo arriba: invertimos para leer cronológicamente
+    return secciones
+        .filter(s => s.deudas.length > 0)
+        .map(s => ({ ...s, deudas: [...s.deudas].reverse() }))
+        .reverse();
+}
+
+// Las deudas creadas antes de guardar el número del pedido lo buscan en pedidos (solo para mostrar)
+async function completarNumerosDeDeuda(items) {
+    const sinNumero = items.filter(i => i.type === 'debt' && !i.numero);
+    if (sinNumero.length === 0) return;
+    const { data, error } = await supabase.from('pedidos').select('id, numero, punto_venta').in('id', sinNumero.map(i => i.id));
     if (error) throw error;
+    const pedidos = new Map(data.filter(p => p.numero).map(p => [String(p.id), p]));
+    for (const deuda of sinNumero) {
+        if (pedidos.has(deuda.id)) deuda.numero = numeroDePedido(pedidos.get(deuda.id));
+    }
+}
 
-    // LÓGICA DE COBRANZAS (Solo si pasa a Preparado)
-    if (estado === 'Preparado') {
-        const pedido = pedidoActualizado;
+function dibujarEstadoCuenta(doc, cliente, formato, logoBuffer) {
+    const cfg = FORMATOS_ESTADO_CUENTA[formato];
+    const izq = doc.page.margins.left;
+    const ancho = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const money = (n) => `$${Math.round(n).toLocaleString('es-AR')}`;
 
-        if (!pedido.user_id) {
-            console.log(`⚠️ Pedido sin user_id. Se omite cobranza.`);
-        } else {
-            // 🔥 INICIO DE LA COLA
-              runInQueue(pedido.user_id, async () => {
-                  
-                  // 2. BUSCAR CLIENTE
-                  const { data: clientes } = await supabase
-                      .from('clients_v2')
-                      .select('*')
-                      .eq('user_id', pedido.user_id);
-              
-                  if (clientes && clientes.length > 0) {
-                      const cliente = clientes[0];
-                      let items = cliente.data.items || [];
-                      let history = cliente.data.history || []; 
-              
-                      // ============================================================
-                      // 🧹 ZONA DE LIMPIEZA
-                      // ============================================================
-                      const fechaLimite = new Date();
-                      fechaLimite.setMonth(fechaLimite.getMonth() - 3);
-              
-                      items = items.filter(item => {
-                          if (item.type !== 'debt') return true;
-                          if (!item.date) return true;
-                          const fechaItem = new Date(item.date);
-                          if (isNaN(fechaItem.getTime())) return true;
-                          return (fechaItem > fechaLimite) || ((item.amount - item.paid) > 0);
-                      });
-              
-                      // ============================================================
-                      // 🧠 LÓGICA INTELIGENTE (CREACIÓN O ACTUALIZACIÓN)
-                      // ============================================================
-                      const indexYaExiste = items.findIndex(i => i.id === String(pedido.id));
-                      const montoNuevo = Math.round(pedido.total);
-                      const idPedido = String(pedido.id).slice(-4);
-                      const nombreNegocio = pedido.nombre_negocio ? ` | ${pedido.nombre_negocio}` : '';
-                      const fecha = pedido.fecha || new Date().toISOString();
-                      
-                      let huboCambios = false;
-                      let mensajeHistorial = '';
-                      let tipoAccion = 'debt'; // Por defecto deuda
-              
-                      if (indexYaExiste === -1) {
-                          // ----------------------------------------------------
-                          // CASO A: ES NUEVO (Crear)
-                          // ----------------------------------------------------
-                          const oldItemsSnapshot = JSON.parse(JSON.stringify(items));
-              
-                          items.unshift({
-                              id: String(pedido.id),
-                              type: 'debt',
-                              amount: montoNuevo,
-                              paid: 0,
-                              date: fecha,
-                              notes: pedido.nombre_negocio || '', 
-                              color: 'orange'
-                          });
-              
-                          mensajeHistorial = `📦 Nuevo Pedido #${idPedido}${nombreNegocio} ($${montoNuevo.toLocaleString('es-AR')})`;
-                          tipoAccion = 'debt';
-                          huboCambios = true;
-              
-                          history.unshift({
-                              timestamp: Date.now(),
-                              items: oldItemsSnapshot,
-                              action: mensajeHistorial,
-                              type: tipoAccion
-                          });
-              
-                      } else {
-                          // ----------------------------------------------------
-                          // CASO B: YA EXISTE (Verificar si cambió el monto)
-                          // ----------------------------------------------------
-                          const itemExistente = items[indexYaExiste];
-                          const montoViejo = itemExistente.amount;
-              
-                          if (montoViejo !== montoNuevo) {
-                              const oldItemsSnapshot = JSON.parse(JSON.stringify(items));
-                              
-                              // 1. Actualizar el monto base
-                              items[indexYaExiste].amount = montoNuevo;
-                              if(pedido.nombre_negocio) items[indexYaExiste].notes = pedido.nombre_negocio;
-
-                              let mensajeRebalse = '';
-
-                              // ------------------------------------------------
-                              // ⚡ LÓGICA DE REBALSE (Si pagado > nuevo total)
-                              // ------------------------------------------------
-                              if (items[indexYaExiste].paid > montoNuevo) {
-                                  let sobrante = Math.round(items[indexYaExiste].paid - montoNuevo);
-                                  items[indexYaExiste].paid = montoNuevo; // Topeamos el pago
-                                  
-                                  // Buscar límites de sección
-                                  let startIdx = 0;
-                                  let endIdx = items.length;
-                                  for (let i = indexYaExiste - 1; i >= 0; i--) {
-                                      if (items[i].type === 'divider') { startIdx = i + 1; break; }
-                                  }
-                                  for (let i = indexYaExiste + 1; i < items.length; i++) {
-                                      if (items[i].type === 'divider') { endIdx = i; break; }
-                                  }
-
-                                  const aplicarPago = (idx) => {
-                                      if (idx === indexYaExiste || items[idx].type !== 'debt') return;
-                                      const deudaPendiente = Math.max(0, items[idx].amount - items[idx].paid);
-                                      if (deudaPendiente > 0) {
-                                          const pago = Math.min(sobrante, deudaPendiente);
-                                          items[idx].paid = Math.round(items[idx].paid + pago);
-                                          sobrante -= pago;
-                                      }
-                                  };
-
-                                  // Fase 1: Misma Sección
-                                  for (let i = startIdx; i < endIdx; i++) {
-                                      if (sobrante <= 0) break;
-                                      aplicarPago(i);
-                                  }
-
-                                  // Fase 2: Global (Más antiguos)
-                                  if (sobrante > 0) {
-                                      for (let i = items.length - 1; i >= 0; i--) {
-                                          if (sobrante <= 0) break;
-                                          if (i >= startIdx && i < endIdx) continue;
-                                          aplicarPago(i);
-                                      }
-                                  }
-                                  mensajeRebalse = ` (+$${(oldItemsSnapshot[indexYaExiste].paid - montoNuevo).toLocaleString()} redistribuidos)`;
-                              }
-                              // ------------------------------------------------
-
-                              mensajeHistorial = `🔄 Update Pedido #${idPedido}${nombreNegocio} ($${montoViejo.toLocaleString('es-AR')} ➔ $${montoNuevo.toLocaleString('es-AR')})${mensajeRebalse}`;
-                              tipoAccion = 'edit';
-                              huboCambios = true;
-              
-                              history.unshift({
-                                  timestamp: Date.now(),
-                                  items: oldItemsSnapshot,
-                                  action: mensajeHistorial,
-                                  type: tipoAccion
-                              });
-                          } else {
-                              console.log(`ℹ️ El pedido #${idPedido} ya existe y el monto es igual. No se toca.`);
-                          }
-                      }
-              
-                      // ============================================================
-                      // 💾 GUARDAR SOLO SI HUBO CAMBIOS
-                      // ============================================================
-                      if (huboCambios) {
-                          // 🛡️ SEGURIDAD FINAL: Asegurar que NINGÚN item tenga paid > amount
-                          items = items.map(i => {
-                              if (i.type === 'debt' && i.paid > i.amount) i.paid = i.amount;
-                              return i;
-                          });
-
-                          if (history.length > 500) history.pop(); 
-              
-                          await supabase
-                              .from('clients_v2')
-                              .update({ data: { ...cliente.data, items, history } })
-                              .eq('id', cliente.id);
-                          
-                          console.log(`✅ Guardado: ${mensajeHistorial}`);
-                      }
-              
-                  } else {
-                      console.log(`⚠️ No existe perfil de cobranzas para user_id: ${pedido.user_id}`);
-                  }
-              });
+    if (logoBuffer) {
+        const anchoLogo = formato === 'a4' ? 80 : 100;
+        doc.image(logoBuffer, izq + (ancho - anchoLogo) / 2, doc.y, { width: anchoLogo });
+        doc.moveDown(formato === 'a4' ? 6 : 8);
+    }
+
+    doc.font('Helvetica-Bold').fontSize(cfg.titulo).text('ESTADO DE CUENTA', { align: 'center' });
+    doc.fontSize(cfg.titulo - 2).text(cliente.name || 'Cliente', { align: 'center' });
+    doc.font('Helvetica').fontSize(cfg.fuente + 1).text(`Emitido: ${new Date().toLocaleDateString('es-AR')}`, { align: 'center' });
+    doc.moveDown(1);
+
+    // Columnas proporcionales al ancho de la página
+    const cols = [
+        { titulo: 'Fecha', w: 0.18 }, { titulo: 'N°', w: 0.14 }, { titulo: 'Monto', w: 0.17 },
+        { titulo: 'Pagado', w: 0.17 }, { titulo: 'Saldo', w: 0.17 }, { titulo: 'Acum.', w: 0.17 }
+    ];
+    const fila = (valores, negrita = false) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - cfg.fuente * 3) doc.addPage();
+        const y = doc.y;
+        let x = izq;
+        doc.font(negrita ? 'Helvetica-Bold' : 'Helvetica').fontSize(cfg.fuente);
+        valores.forEach((v, i) => {
+            const w = cols[i].w * ancho;
+            doc.text(String(v), x, y, { width: w - 2, align: i < 2 ? 'left' : 'right', lineBreak: false });
+            x += w;
+        });
+        doc.x = izq;
+        doc.y = y + cfg.fuente + 4;
+    };
+    const linea = () => {
+        doc.moveTo(izq, doc.y).lineTo(izq + ancho, doc.y).stroke();
+        doc.y += 4;
+    };
+
+    let acumulado = 0;
+    const secciones = seccionesDeCuenta(cliente.data?.items || []);
+    if (secciones.length === 0) {
+        doc.fontSize(cfg.fuente + 2).text('No hay deudas registradas.', { align: 'center' });
+    }
+
+    for (const seccion of secciones) {
+        if (seccion.titulo) {
+            doc.moveDown(0.5);
+            doc.font('Helvetica-Bold').fontSize(cfg.fuente + 1).text(seccion.titulo, izq, doc.y, { width: ancho });
         }
+        fila(cols.map(c => c.titulo), true);
+        linea();
+        for (const deuda of seccion.deudas) {
+            const saldo = Math.max(0, (deuda.amount || 0) - (deuda.paid || 0));
+            acumulado += saldo;
+            const fecha = deuda.date ? new Date(deuda.date).toLocaleDateString('es-AR') : '-';
+            fila([fecha, `#${numeroDeDeuda(deuda)}`, money(deuda.amount || 0), money(deuda.paid || 0), money(saldo), money(acumulado)]);
+        }
+        doc.moveDown(0.5);
     }
 
-    res.json({ ok: true });
+    // Pagos registrados (historial del cliente)
+    const pagos = (cliente.data?.history || []).filter(h => h.type === 'payment').slice(0, 30);
+    if (pagos.length > 0) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(cfg.fuente + 2).text('PAGOS', izq, doc.y, { width: ancho, align: 'center' });
+        linea();
+        doc.font('Helvetica').fontSize(cfg.fuente);
+        for (const pago of pagos) {
+            const fecha = new Date(pago.timestamp).toLocaleDateString('es-AR');
+            // Helvetica no tiene emojis: los sacamos del texto del historial
+            doc.text(`${fecha}  ${String(pago.action).replace(/[^\x00-\xFF]/g, '').trim()}`, izq, doc.y, { width: ancho });
+            doc.moveDown(0.3);
+        }
+    }
+
+    doc.moveDown(1.5);
+    linea();
+    doc.font('Helvetica-Bold').fontSize(cfg.titulo).text(`TOTAL ADEUDADO: ${money(saldoPendiente(cliente.data?.items || []))}`, izq, doc.y, { width: ancho, align: 'center' });
+}
+
+/* --- DESCARGAR ESTADO DE CUENTA --- */
+app.get('/api/clientes/:userId/estado-cuenta.pdf', soloLogueado, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const formato = req.query.formato === 'a4' ? 'a4' : 'ticket';
+
+    if (req.usuario.rol === 'cliente' && await userIdDeSesion(req) !== userId) {
+      return res.status(403).json({ error: 'No tenés permisos para ver esta cuenta' });
+    }
+
+    const cliente = await buscarClienteCobranzas(userId);
+    if (!cliente) return res.status(404).json({ error: 'Cliente sin perfil de cobranzas' });
+    await completarNumerosDeDeuda(cliente.data?.items || []);
+
+    const cfg = FORMATOS_ESTADO_CUENTA[formato];
+    const logoBuffer = await cargarLogo();
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=estado_cuenta_${userId}_${formato}.pdf`);
+
+    const doc = new PDFDocument({ size: cfg.size, margins: cfg.margins });
+    doc.pipe(res);
+    dibujarEstadoCuenta(doc, cliente, formato, logoBuffer);
+    doc.end();
+  } catch (err) {
+    console.error('❌ Error generando estado de cuenta:', err);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.end();
+  }
+});
+
+/* =========================================================
+   ESTADOS DEL PEDIDO (MÁQUINA DE ESTADOS)
+   ========================================================= */
+// Transiciones permitidas desde cada estado
+const TRANSICIONES_PEDIDO = {
+    'Petición':  ['Armando', 'Cancelado'],
+    'Armando':   ['Preparado', 'Cancelado'],
+    'Preparado': ['Armando', 'Entregado', 'Cancelado'],
+    'Entregado': ['Cobrado'],
+    'Cobrado':   [],
+    'Cancelado': []
+};
+const ESTADOS_PEDIDO = Object.keys(TRANSICIONES_PEDIDO);
+// Estados en los que el pedido ya tiene su deuda cargada en cobranzas
+const ESTADOS_CON_DEUDA = ['Preparado', 'Entregado', 'Cobrado'];
+// Pedidos abiertos que todavía no pasaron a cobranzas (cuentan para el límite de crédito)
+const ESTADOS_SIN_DEUDA = ['Petición', 'Armando'];
+
+// Pedidos viejos sin estado se consideran preparados (misma regla que usaba admin.html)
+function estadoDePedido(pedido) {
+    return pedido.estado || 'Preparado';
+}
+
+async function registrarTransicionPedido(pedidoId, desde, hacia, actor, nota = null) {
+    const { error } = await supabase.from('pedidos_estados').insert([{
+        pedido_id: String(pedidoId),
+        estado_anterior: desde,
+        estado_nuevo: hacia,
+        actor: actor || null,
+        nota,
+        fecha: new Date().toISOString()
+    }]);
+    if (error) console.error("❌ Error registrando transición de estado:", error.message);
+}
+
+// Efectos secundarios según el estado de destino
+const EFECTOS_TRANSICION = {
+    'Preparado': async (pedido) => {
+        // Cobranzas: crear/actualizar la deuda (en cola, no bloquea la respuesta)
+        sincronizarDeudaPedido(pedido);
+    },
+    'Cancelado': async (pedido, desde, actor) => {
+        // Si ya había generado deuda la anulamos (lo pagado se redistribuye)
+        sincronizarDeudaPedido(pedido, 0);
+    }
+};
+
+// Antes de cancelar se devuelve el stock: si falla, el pedido no cambia de estado.
+// Los productos borrados del catálogo se saltean y se informan en stock_no_restaurado.
+async function devolverStockDeCancelacion(pedido, actor) {
+    const razon = `Cancelación de Pedido #${pedido.id} (${pedido.user}) por ${actor}`;
+    // Lo que ya volvió con una devolución no se repone dos veces
+    const devueltas = await cantidadesDevueltas(pedido.id);
+    return restaurarStock(
+        (pedido.items || [])
+            .map(it => ({ id: it.id, cantidad: (Number(it.cantidad) || 0) - (devueltas.get(String(it.id)) || 0) }))
+            .filter(it => it.cantidad > 0),
+        { tipo: 'CANCELAR_PEDIDO', referencia: pedido.id, razon }
+    );
+}
+
+/* --- TRANSICIONES DISPONIBLES --- */
+app.get('/api/estados-pedido', soloPersonal, (req, res) => {
+  res.json({ estados: ESTADOS_PEDIDO, transiciones: TRANSICIONES_PEDIDO });
+});
+
+/* --- HISTORIAL DE ESTADOS DE UN PEDIDO --- */
+app.get('/api/pedidos/:id/estados', soloPersonal, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('pedidos_estados')
+      .select('*')
+      .eq('pedido_id', String(req.params.id))
+      .order('fecha', { ascending: true });
+    if (error) throw error;
+    res.json(data);
   } catch (err) {
-    console.error('Error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-/* --- NUEVO: CREAR PRODUCTO --- */
-/* --- NUEVO: CREAR PRODUCTO (CORREGIDO) --- */
-app.post('/api/crear-producto', async (req, res) => {
+/* --- CAMBIAR ESTADO (VALIDANDO LA TRANSICIÓN) --- */
+app.put('/api/actualizar-estado-pedido/:id', soloPersonal, async (req, res) => {
   try {
-    const { nombre, precio, categoria, stock, link } = req.body;
+    const { id } = req.params;
+    const { estado, nota } = req.body;
 
-    // Validación básica
-    if (!nombre) return res.status(400).json({ error: 'Falta el nombre' });
+    if (!ESTADOS_PEDIDO.includes(estado)) {
+      return res.status(400).json({ error: `Estado inválido (${ESTADOS_PEDIDO.join(', ')})` });
+    }
+
+    const { data: pedido, error: pedidoErr } = await supabase.from('pedidos').select('*').eq('id', id).single();
+    if (pedidoErr || !pedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+
+    const desde = estadoDePedido(pedido);
+    if (desde === estado) return res.json({ ok: true, estado, sinCambios: true });
+
+    if (!TRANSICIONES_PEDIDO[desde]?.includes(estado)) {
+      return res.status(409).json({
+        error: `No se puede pasar de ${desde} a ${estado}`,
+        permitidos: TRANSICIONES_PEDIDO[desde] || []
+      });
+    }
+
+    const actor = req.usuario.username;
+    let restauracion = null;
+    if (estado === 'Cancelado') {
+      restauracion = await devolverStockDeCancelacion(pedido, actor);
+      if (!restauracion.ok) {
+        console.error(`❌ No se pudo restaurar stock del pedido #${id}:`, restauracion.fallidos);
+        return res.status(409).json({ error: 'No se pudo devolver el stock; el pedido no se canceló', fallidos: restauracion.fallidos });
+      }
+    }
+
+    // Solo actualizamos si nadie lo cambió desde que lo leímos (otro admin en otra PC)
+    let query = supabase.from('pedidos').update({ estado }).eq('id', id);
+    query = pedido.estado === null ? query.is('estado', null) : query.eq('estado', pedido.estado);
+    const { data: pedidoActualizado, error } = await query.select().maybeSingle();
+
+    if (error || !pedidoActualizado) {
+      // El stock ya había vuelto: lo descontamos de nuevo para no duplicarlo
+      if (restauracion?.aplicados.length > 0) {
+        await aplicarMovimientosStock(restauracion.aplicados.map(c => ({ id: c.id, cantidad: -c.cantidad })), {
+          tipo: 'REVERSION', referencia: id, razon: `Reversión: falló la cancelación del Pedido #${id}`, permitirNegativo: true
+        });
+      }
+      if (error) throw error;
+      return res.status(409).json({ error: 'El pedido cambió de estado mientras tanto. Recargá la página.' });
+    }
+
+    await registrarTransicionPedido(id, desde, estado, actor, nota || null);
+
+    const efecto = EFECTOS_TRANSICION[estado];
+    if (efecto) await efecto(pedidoActualizado, desde, actor);
+
+    const respuesta = { ok: true, estado, desde };
+    if (restauracion?.omitidos.length > 0) {
+      respuesta.stock_no_restaurado = restauracion.omitidos;
+      respuesta.aviso = `No se devolvió stock de productos que ya no existen (ID ${restauracion.omitidos.join(', ')})`;
+    }
+    res.json(respuesta);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
+/* --- NUEVO: CREAR PRODUCTO --- */
+// Alta de producto compartida por /api/crear-producto y la importación de listas de proveedores
+async function crearProducto({ nombre, precio, categoria, stock, link, sku = null, costo = null, proveedor_id = null }, usuario = null) {
     // 1. Insertar en Supabase
     const { data, error } = await supabase
       .from('productos')
@@ -1245,8 +2021,10 @@ app.post('/api/crear-producto', async (req, res) => {
         precio: parseFloat(precio),
         categoria,
         stock: parseInt(stock),
-        link,
-        sku: null,
+        link: link || null,
+        sku,
+        costo: costo === null || costo === undefined ? null : parseFloat(costo),
+        proveedor_id,
         stock_leo: null,
         imagen: null // Se actualiza luego
       }])
@@ -1266,13 +2044,31 @@ app.post('/api/crear-producto', async (req, res) => {
 
     if (updateError) throw updateError;
 
+    await registrarAuditoriaProducto(nuevoId, 'crear', {
+        nombre, precio: data.precio, categoria, stock: data.stock, link: data.link, sku, costo: data.costo, proveedor_id
+    }, usuario);
+
+    return { ...data, imagen: nombreImagen };
+}
+
+/* --- NUEVO: CREAR PRODUCTO (CORREGIDO) --- */
+app.post('/api/crear-producto', soloAdmin, async (req, res) => {
+  try {
+    const { nombre, precio, categoria, stock, link, costo } = req.body;
+
+    // Validación básica
+    if (!nombre) return res.status(400).json({ error: 'Falta el nombre' });
+    if (costo !== undefined && costo !== null && costo !== '' && !(parseFloat(costo) >= 0)) return res.status(400).json({ error: 'Costo inválido' });
+
+    const producto = await crearProducto({ nombre, precio, categoria, stock, link, costo: costo === '' ? null : costo }, req.usuario.username);
+
     res.json({ 
         ok: true, 
         mensaje: 'Producto creado', 
         producto: {
-            id: nuevoId,
+            id: producto.id,
             nombre: nombre,
-            imagen: nombreImagen,
+            imagen: producto.imagen,
             precio: precio,
             stock: stock
         }
@@ -1283,6 +2079,2225 @@ app.post('/api/crear-producto', async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 });
+
+/* =========================================================
+   PROVEEDORES Y ÓRDENES DE COMPRA
+   ========================================================= */
+// Estados de una orden de compra: (Borrador →) Pendiente → Parcial → Recibida (o Cancelada si no se recibió nada).
+// Borrador = armada desde las sugerencias de compra, todavía no enviada al proveedor.
+const ESTADOS_COMPRA_ABIERTOS = ['Pendiente', 'Parcial'];
+
+function pendienteDeRecibir(item) {
+    return Math.max(0, (Number(item.cantidad) || 0) - (Number(item.recibido) || 0));
+}
+
+/* --- LISTAR PROVEEDORES --- */
+app.get('/api/proveedores', soloPersonal, async (req, res) => {
+  try {
+    let query = supabase.from('proveedores').select('*').order('nombre', { ascending: true });
+    if (req.query.todos !== 'true') query = query.eq('activo', true);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CREAR PROVEEDOR --- */
+app.post('/api/proveedores', soloAdmin, async (req, res) => {
+  try {
+    const { nombre, cuit, telefono, email, notas } = req.body;
+    if (!nombre || !String(nombre).trim()) return res.status(400).json({ error: 'Falta el nombre' });
+
+    const { data, error } = await supabase
+      .from('proveedores')
+      .insert([{ nombre: String(nombre).trim(), cuit: cuit || null, telefono: telefono || null, email: email || null, notas: notas || null }])
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ ok: true, proveedor: data });
+  } catch (err) {
+    console.error('❌ Error creando proveedor:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- EDITAR / DESACTIVAR PROVEEDOR --- */
+app.put('/api/proveedores/:id', soloAdmin, async (req, res) => {
+  try {
+    const cambios = {};
+    for (const campo of ['nombre', 'cuit', 'telefono', 'email', 'notas']) {
+      if (req.body[campo] !== undefined) cambios[campo] = req.body[campo] || null;
+    }
+    if (req.body.activo !== undefined) cambios.activo = !!req.body.activo;
+    if (cambios.nombre === null) return res.status(400).json({ error: 'El nombre no puede quedar vacío' });
+
+    const { data, error } = await supabase.from('proveedores').update(cambios).eq('id', req.params.id).select().maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Proveedor no encontrado' });
+    res.json({ ok: true, proveedor: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- LISTAR ÓRDENES DE COMPRA --- */
+app.get('/api/ordenes-compra', soloPersonal, async (req, res) => {
+  try {
+    const { estado, proveedor_id } = req.query;
+    let query = supabase.from('ordenes_compra').select('*, proveedores(nombre)').order('fecha', { ascending: false });
+    if (estado) query = query.eq('estado', estado);
+    if (proveedor_id) query = query.eq('proveedor_id', proveedor_id);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- DETALLE DE UNA ORDEN (CON SUS RECEPCIONES) --- */
+app.get('/api/ordenes-compra/:id', soloPersonal, async (req, res) => {
+  try {
+    const { data: orden, error } = await supabase
+      .from('ordenes_compra').select('*, proveedores(nombre)').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!orden) return res.status(404).json({ error: 'Orden de compra no encontrada' });
+
+    const { data: recepciones, error: recErr } = await supabase
+      .from('recepciones_compra').select('*').eq('orden_id', orden.id).order('fecha', { ascending: true });
+    if (recErr) throw recErr;
+
+    res.json({ ...orden, recepciones });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CREAR ORDEN DE COMPRA --- */
+app.post('/api/ordenes-compra', soloAdmin, async (req, res) => {
+  try {
+    const { proveedor_id, items: itemsBody, notas } = req.body;
+    if (!proveedor_id) return res.status(400).json({ error: 'Falta el proveedor' });
+    if (!Array.isArray(itemsBody) || itemsBody.length === 0) {
+      return res.status(400).json({ error: 'La orden no tiene productos' });
+    }
+
+    const { data: proveedor } = await supabase.from('proveedores').select('id, activo').eq('id', proveedor_id).maybeSingle();
+    if (!proveedor || !proveedor.activo) return res.status(400).json({ error: 'Proveedor inexistente o inactivo' });
+
+    const { data: productosDB, error: dbError } = await supabase
+      .from('productos').select('id, nombre').in('id', itemsBody.map(it => it.id));
+    if (dbError) throw dbError;
+
+    const items = [];
+    for (const it of itemsBody) {
+      const prod = productosDB.find(p => String(p.id) === String(it.id));
+      if (!prod) return res.status(400).json({ error: `Producto con ID ${it.id} no encontrado` });
+
+      const cantidad = Number(it.cantidad) || 0;
+      if (cantidad <= 0) return res.status(400).json({ error: `Cantidad inválida para producto ${it.id}` });
+      if (items.some(i => i.id === prod.id)) return res.status(400).json({ error: `Producto ${prod.nombre} repetido` });
+
+      items.push({
+        id: prod.id,
+        nombre: prod.nombre,
+        cantidad,
+        costo_unitario: Number(it.costo_unitario ?? it.costo) || 0,
+        recibido: 0
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('ordenes_compra')
+      .insert([{ proveedor_id, items, notas: notas || null, estado: 'Pendiente', creado_por: req.usuario.username }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    console.log(`🧾 Orden de compra #${data.id} creada (${items.length} productos)`);
+    res.json({ ok: true, orden: data });
+  } catch (err) {
+    console.error('❌ Error creando orden de compra:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- RECIBIR MERCADERÍA (TOTAL O PARCIAL) --- */
+// Body: { items: [{ id, cantidad }], nota }. Sin items se recibe todo lo pendiente.
+app.post('/api/ordenes-compra/:id/recepciones', soloPersonal, async (req, res) => {
+  try {
+    const ordenId = req.params.id;
+    const { items: itemsBody, nota } = req.body;
+    if (itemsBody !== undefined && (!Array.isArray(itemsBody) || itemsBody.length === 0)) {
+      return res.status(400).json({ error: 'Items de recepción inválidos' });
+    }
+
+    // Una recepción a la vez por orden, para no recibir dos veces lo mismo
+    const resultado = await runInQueue(`oc-${ordenId}`, async () => {
+      const { data: orden, error: ordenErr } = await supabase
+        .from('ordenes_compra').select('*, proveedores(nombre)').eq('id', ordenId).maybeSingle();
+      if (ordenErr) return { status: 500, body: { error: ordenErr.message } };
+      if (!orden) return { status: 404, body: { error: 'Orden de compra no encontrada' } };
+      if (!ESTADOS_COMPRA_ABIERTOS.includes(orden.estado)) {
+        return { status: 409, body: { error: `La orden está ${orden.estado}` } };
+      }
+
+      let recibidos;
+      if (itemsBody === undefined) {
+        recibidos = orden.items
+          .filter(i => pendienteDeRecibir(i) > 0)
+          .map(i => ({ id: i.id, nombre: i.nombre, cantidad: pendienteDeRecibir(i) }));
+      } else {
+        recibidos = [];
+        for (const it of itemsBody) {
+          const linea = orden.items.find(i => String(i.id) === String(it.id));
+          if (!linea) return { status: 400, body: { error: `El producto ${it.id} no está en la orden` } };
+          const cantidad = Number(it.cantidad) || 0;
+          if (cantidad <= 0) return { status: 400, body: { error: `Cantidad inválida para ${linea.nombre}` } };
+          if (cantidad > pendienteDeRecibir(linea)) {
+            return { status: 400, body: { error: `${linea.nombre}: se reciben ${cantidad} pero quedan ${pendienteDeRecibir(linea)} pendientes` } };
+          }
+          recibidos.push({ id: linea.id, nombre: linea.nombre, cantidad });
+        }
+      }
+      if (recibidos.length === 0) return { status: 400, body: { error: 'No hay nada pendiente de recibir' } };
+
+      // Entrada de stock: historial_stock y monitor_snapshot se escriben en la misma transacción
+      const referencia = `OC-${orden.id}`;
+      const razon = `Recepción Orden de Compra #${orden.id} (${orden.proveedores?.nombre || 'proveedor'}) por ${req.usuario.username}`;
+      const entrada = await aplicarMovimientosStock(
+        recibidos.map(r => ({ id: r.id, cantidad: r.cantidad })),
+        { tipo: 'COMPRA', referencia, razon, permitirNegativo: true }
+      );
+      if (!entrada.ok) return { status: 409, body: { error: 'No se pudo ingresar el stock', fallidos: entrada.fallidos } };
+
+      const items = orden.items.map(i => {
+        const r = recibidos.find(x => String(x.id) === String(i.id));
+        return r ? { ...i, recibido: (Number(i.recibido) || 0) + r.cantidad } : i;
+      });
+      const estado = items.every(i => pendienteDeRecibir(i) === 0) ? 'Recibida' : 'Parcial';
+
+      const { error: updErr } = await supabase.from('ordenes_compra').update({ items, estado }).eq('id', orden.id);
+      if (updErr) {
+        await aplicarMovimientosStock(recibidos.map(r => ({ id: r.id, cantidad: -r.cantidad })), {
+          tipo: 'REVERSION', referencia, razon: `Reversión: no se pudo actualizar la Orden de Compra #${orden.id}`, permitirNegativo: true
+        });
+        return { status: 500, body: { error: `Error actualizando la orden: ${updErr.message}` } };
+      }
+
+      const { error: recErr } = await supabase.from('recepciones_compra').insert([{
+        orden_id: orden.id, items: recibidos, recibido_por: req.usuario.username, notas: nota || null
+      }]);
+      if (recErr) console.error(`❌ Error guardando recepción de OC #${orden.id}:`, recErr.message);
+
+      console.log(`📦 ${razon}: ${recibidos.length} productos → ${estado}`);
+      return { status: 200, body: { ok: true, estado, recibidos, items } };
+    });
+
+    if (!resultado) return res.status(500).json({ error: 'Error registrando la recepción' });
+    res.status(resultado.status).json(resultado.body);
+  } catch (err) {
+    console.error('❌ Error recibiendo orden de compra:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CANCELAR ORDEN DE COMPRA (SOLO SI NO SE RECIBIÓ NADA) --- */
+app.put('/api/ordenes-compra/:id/cancelar', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('ordenes_compra')
+      .update({ estado: 'Cancelada' })
+      .eq('id', req.params.id)
+      .in('estado', ['Borrador', 'Pendiente'])
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(409).json({ error: 'Solo se pueden cancelar borradores u órdenes pendientes sin recepciones' });
+    res.json({ ok: true, orden: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CONFIRMAR BORRADOR (PASA A PENDIENTE) --- */
+// Body opcional: { items: [{ id, cantidad }] } para corregir cantidades antes de enviarla; cantidad 0 saca la línea
+app.put('/api/ordenes-compra/:id/confirmar', soloAdmin, async (req, res) => {
+  try {
+    const { data: orden, error: getErr } = await supabase.from('ordenes_compra').select('*').eq('id', req.params.id).maybeSingle();
+    if (getErr) throw getErr;
+    if (!orden) return res.status(404).json({ error: 'Orden de compra no encontrada' });
+    if (orden.estado !== 'Borrador') return res.status(409).json({ error: `La orden está ${orden.estado}` });
+
+    let items = orden.items;
+    if (Array.isArray(req.body.items)) {
+      const cantidades = new Map(req.body.items.map(it => [String(it.id), Number(it.cantidad)]));
+      if ([...cantidades.values()].some(c => !Number.isFinite(c) || c < 0)) return res.status(400).json({ error: 'Cantidades inválidas' });
+      items = items
+        .map(i => cantidades.has(String(i.id)) ? { ...i, cantidad: cantidades.get(String(i.id)) } : i)
+        .filter(i => i.cantidad > 0);
+    }
+    if (items.length === 0) return res.status(400).json({ error: 'La orden no tiene productos' });
+
+    const { data, error } = await supabase.from('ordenes_compra')
+      .update({ estado: 'Pendiente', items })
+      .eq('id', orden.id).eq('estado', 'Borrador')
+      .select().maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(409).json({ error: 'La orden cambió mientras la confirmabas' });
+
+    console.log(`🧾 Borrador de compra #${orden.id} confirmado por ${req.usuario.username}`);
+    res.json({ ok: true, orden: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   SUGERENCIAS DE COMPRA (PUNTO DE REPOSICIÓN)
+   ========================================================= */
+// El promedio de ventas sale de historial_stock (calcular_ventas_diarias) y se recalcula una vez
+// por día; el cálculo de qué reponer está en reposicion.js.
+const VENTANA_VENTAS_DIAS = Number(process.env.VENTANA_VENTAS_DIAS) || 60;
+const VENTAS_DIARIAS_HORAS = 24;
+
+async function recalcularVentasDiarias() {
+    const { data, error } = await supabase.rpc('calcular_ventas_diarias', { p_dias: VENTANA_VENTAS_DIAS });
+    if (error) throw error;
+    console.log(`📈 [Reposición] Promedio de ventas recalculado (${data} productos, últimos ${VENTANA_VENTAS_DIAS} días)`);
+    return data;
+}
+
+// Al arrancar solo recalcula si el último cálculo tiene más de un día (Render reinicia seguido)
+function iniciarCalculoVentasDiarias() {
+    const pasada = () => recalcularVentasDiarias().catch(e => console.error('❌ [Reposición] Error calculando ventas diarias:', e.message || e));
+
+    supabase.from('ventas_diarias_productos').select('calculado').order('calculado', { ascending: false }).limit(1)
+        .then(({ data, error }) => {
+            if (error) return console.warn('⚠️ [Reposición] ventas_diarias_productos no disponible:', error.message);
+            const ultimo = data[0] ? new Date(data[0].calculado).getTime() : 0;
+            if (Date.now() - ultimo > VENTAS_DIARIAS_HORAS * 60 * 60 * 1000) pasada();
+        })
+        .catch(e => console.warn('⚠️ [Reposición] No se pudo leer el último cálculo:', e.message || e));
+    setInterval(pasada, VENTAS_DIARIAS_HORAS * 60 * 60 * 1000);
+}
+
+iniciarCalculoVentasDiarias();
+
+// Unidades pendientes de recibir por producto, separando órdenes enviadas de borradores
+async function comprasAbiertasPorProducto() {
+    const { data, error } = await supabase.from('ordenes_compra')
+        .select('estado, items').in('estado', ['Borrador', ...ESTADOS_COMPRA_ABIERTOS]);
+    if (error) throw error;
+    const enCamino = new Map();
+    const enBorrador = new Map();
+    for (const orden of data) {
+        const destino = orden.estado === 'Borrador' ? enBorrador : enCamino;
+        for (const it of orden.items || []) {
+            destino.set(String(it.id), (destino.get(String(it.id)) || 0) + pendienteDeRecibir(it));
+        }
+    }
+    return { enCamino, enBorrador };
+}
+
+// Devuelve { sugerencias, calculado } (calculado = fecha del último promedio de ventas, null si nunca corrió)
+async function armarSugerenciasCompra({ cobertura = DIAS_COBERTURA, proveedor_id = null } = {}) {
+    const productos = await leerProductosPaginado('id, nombre, categoria, stock, costo, proveedor_id, stock_minimo, demora_reposicion_dias, activo');
+
+    const promedios = new Map();
+    let calculado = null;
+    for (let from = 0; ; from += 1000) {
+        const { data, error } = await supabase.from('ventas_diarias_productos')
+            .select('producto_id, promedio_diario, calculado').order('producto_id', { ascending: true }).range(from, from + 999);
+        if (error) throw error;
+        data.forEach(v => {
+            promedios.set(String(v.producto_id), Number(v.promedio_diario));
+            if (!calculado || v.calculado > calculado) calculado = v.calculado;
+        });
+        if (data.length < 1000) break;
+    }
+
+    const { enCamino, enBorrador } = await comprasAbiertasPorProducto();
+    let sugerencias = calcularSugerenciasCompra(productos, promedios, enCamino, enBorrador, { cobertura });
+    if (proveedor_id) sugerencias = sugerencias.filter(s => String(s.proveedor_id) === String(proveedor_id));
+    return { sugerencias, calculado };
+}
+
+function coberturaDelRequest(valor) {
+    if (valor === undefined || valor === null || valor === '') return DIAS_COBERTURA;
+    const dias = Number(valor);
+    return Number.isInteger(dias) && dias >= 0 && dias <= 365 ? dias : null;
+}
+
+/* --- QUÉ REPONER Y CUÁNTO --- */
+// ?cobertura=30 (días de venta a cubrir)  ?proveedor_id=  ?solo_urgentes=true  ?agrupar=proveedor
+app.get('/api/sugerencias-compra', soloPersonal, async (req, res) => {
+  try {
+    const cobertura = coberturaDelRequest(req.query.cobertura);
+    if (cobertura === null) return res.status(400).json({ error: 'cobertura inválida (días, de 0 a 365)' });
+
+    let { sugerencias, calculado } = await armarSugerenciasCompra({ cobertura, proveedor_id: req.query.proveedor_id || null });
+    if (req.query.solo_urgentes === 'true') sugerencias = sugerencias.filter(s => s.urgente);
+
+    const cuerpo = { calculado, ventana_dias: VENTANA_VENTAS_DIAS, cobertura };
+    if (req.query.agrupar === 'proveedor') {
+      const { data: proveedores, error } = await supabase.from('proveedores').select('id, nombre');
+      if (error) throw error;
+      cuerpo.proveedores = agruparPorProveedor(sugerencias, proveedores);
+    } else {
+      cuerpo.sugerencias = sugerencias;
+    }
+    responderConEtag(req, res, cuerpo);
+  } catch (err) {
+    console.error('❌ Error armando sugerencias de compra:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- RECALCULAR PROMEDIOS A MANO --- */
+app.post('/api/sugerencias-compra/recalcular', soloAdmin, async (req, res) => {
+  try {
+    const productos = await recalcularVentasDiarias();
+    res.json({ ok: true, productos, ventana_dias: VENTANA_VENTAS_DIAS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- EXPORTAR SUGERENCIAS COMO BORRADOR DE ORDEN DE COMPRA --- */
+// Body: { proveedor_id, cobertura?, items?: [{ id, cantidad }] }
+// Sin items toma todo lo sugerido para ese proveedor; con items, solo esos productos y esas cantidades.
+app.post('/api/sugerencias-compra/borrador', soloAdmin, async (req, res) => {
+  try {
+    const { proveedor_id, items: itemsBody } = req.body;
+    if (!proveedor_id) return res.status(400).json({ error: 'Falta el proveedor (los productos sin proveedor no se pueden exportar)' });
+    const cobertura = coberturaDelRequest(req.body.cobertura);
+    if (cobertura === null) return res.status(400).json({ error: 'cobertura inválida (días, de 0 a 365)' });
+    if (itemsBody !== undefined && !Array.isArray(itemsBody)) return res.status(400).json({ error: 'Items inválidos' });
+
+    const { data: proveedor } = await supabase.from('proveedores').select('id, nombre, activo').eq('id', proveedor_id).maybeSingle();
+    if (!proveedor || !proveedor.activo) return res.status(400).json({ error: 'Proveedor inexistente o inactivo' });
+
+    const { sugerencias } = await armarSugerenciasCompra({ cobertura, proveedor_id });
+    let elegidas = sugerencias.map(s => ({ sugerencia: s, cantidad: s.cantidad_sugerida }));
+    if (itemsBody) {
+      const porId = new Map(sugerencias.map(s => [String(s.id), s]));
+      elegidas = [];
+      for (const it of itemsBody) {
+        const s = porId.get(String(it.id));
+        if (!s) return res.status(400).json({ error: `El producto ${it.id} no está entre las sugerencias de ${proveedor.nombre}` });
+        const cantidad = Number(it.cantidad) || 0;
+        if (cantidad <= 0) return res.status(400).json({ error: `Cantidad inválida para ${s.nombre}` });
+        elegidas.push({ sugerencia: s, cantidad });
+      }
+    }
+    if (elegidas.length === 0) return res.status(400).json({ error: `No hay nada para reponer de ${proveedor.nombre}` });
+
+    const items = elegidas.map(({ sugerencia: s, cantidad }) => ({
+      id: s.id, nombre: s.nombre, cantidad, costo_unitario: s.costo_unitario || 0, recibido: 0
+    }));
+    const { data, error } = await supabase
+      .from('ordenes_compra')
+      .insert([{
+        proveedor_id: proveedor.id, items, estado: 'Borrador', creado_por: req.usuario.username,
+        notas: `Sugerencia de compra (${cobertura} días de cobertura)`
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    console.log(`🧾 Borrador de compra #${data.id} para ${proveedor.nombre} (${items.length} productos)`);
+    res.json({ ok: true, orden: data });
+  } catch (err) {
+    console.error('❌ Error creando borrador de compra:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   CONTEOS FÍSICOS DE INVENTARIO
+   ========================================================= */
+// Lee productos de 1000 en 1000 (mismo criterio que el monitor), opcionalmente de una categoría
+async function leerProductosPaginado(columnas, categoria = null) {
+    let productos = [];
+    let from = 0;
+    const limit = 1000;
+    while (true) {
+        let query = supabase.from('productos').select(columnas).order('id', { ascending: true }).range(from, from + limit - 1);
+        if (categoria) query = query.eq('categoria', categoria);
+        const { data, error } = await query;
+        if (error) throw error;
+        productos = productos.concat(data || []);
+        if (!data || data.length < limit) return productos;
+        from += limit;
+    }
+}
+
+async function leerItemsConteo(conteoId) {
+    let items = [];
+    let from = 0;
+    const limit = 1000;
+    while (true) {
+        const { data, error } = await supabase
+            .from('conteos_items').select('*').eq('conteo_id', conteoId)
+            .order('producto_nombre', { ascending: true }).range(from, from + limit - 1);
+        if (error) throw error;
+        items = items.concat(data || []);
+        if (!data || data.length < limit) return items;
+        from += limit;
+    }
+}
+
+// Items del conteo con el stock ACTUAL de productos y la diferencia (contado - stock)
+async function detalleConteo(conteo) {
+    const items = await leerItemsConteo(conteo.id);
+    const productos = await leerProductosPaginado('id, stock', conteo.categoria);
+    const stockPorId = {};
+    productos.forEach(p => { stockPorId[p.id] = Number(p.stock) || 0; });
+
+    return items.map(i => {
+        const stock = stockPorId[i.producto_id] ?? null;
+        const contado = i.contado === null ? null : Number(i.contado);
+        return {
+            ...i,
+            stock,
+            diferencia: contado === null || stock === null ? null : contado - stock
+        };
+    });
+}
+
+/* --- LISTAR CONTEOS --- */
+app.get('/api/conteos', soloPersonal, async (req, res) => {
+  try {
+    let query = supabase.from('conteos').select('*').order('fecha', { ascending: false }).limit(100);
+    if (req.query.estado) query = query.eq('estado', req.query.estado);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- ABRIR CONTEO (CATEGORÍA O TODO EL CATÁLOGO) --- */
+app.post('/api/conteos', soloAdmin, async (req, res) => {
+  try {
+    const categoria = req.body.categoria ? String(req.body.categoria) : null;
+    const productos = await leerProductosPaginado('id, nombre, stock', categoria);
+    if (productos.length === 0) return res.status(400).json({ error: 'No hay productos para contar' });
+
+    const { data: conteo, error } = await supabase
+      .from('conteos')
+      .insert([{
+        nombre: req.body.nombre || (categoria ? `Conteo ${categoria}` : 'Conteo general'),
+        categoria,
+        estado: 'Abierto',
+        creado_por: req.usuario.username
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    const filas = productos.map(p => ({
+      conteo_id: conteo.id,
+      producto_id: p.id,
+      producto_nombre: p.nombre,
+      stock_inicial: Number(p.stock) || 0
+    }));
+    for (let i = 0; i < filas.length; i += 500) {
+      const { error: itemsErr } = await supabase.from('conteos_items').insert(filas.slice(i, i + 500));
+      if (itemsErr) {
+        await supabase.from('conteos').delete().eq('id', conteo.id);
+        throw itemsErr;
+      }
+    }
+
+    console.log(`📋 Conteo #${conteo.id} abierto: ${filas.length} productos (${categoria || 'todo el catálogo'})`);
+    res.json({ ok: true, conteo, productos: filas.length });
+  } catch (err) {
+    console.error('❌ Error abriendo conteo:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- DETALLE CON DIFERENCIAS --- */
+app.get('/api/conteos/:id', soloPersonal, async (req, res) => {
+  try {
+    const { data: conteo, error } = await supabase.from('conteos').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!conteo) return res.status(404).json({ error: 'Conteo no encontrado' });
+
+    const items = await detalleConteo(conteo);
+    const contados = items.filter(i => i.contado !== null);
+    res.json({
+      ...conteo,
+      items,
+      resumen: {
+        total: items.length,
+        contados: contados.length,
+        conDiferencia: contados.filter(i => i.diferencia !== 0).length
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CARGAR CANTIDADES CONTADAS (DESDE PC O CELULAR) --- */
+// Body: { items: [{ id, contado }] }. contado = null borra la cantidad cargada.
+app.put('/api/conteos/:id/items', soloPersonal, async (req, res) => {
+  try {
+    const conteoId = req.params.id;
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'No hay cantidades' });
+
+    for (const it of items) {
+      if (it.contado !== null && !(Number.isInteger(Number(it.contado)) && Number(it.contado) >= 0)) {
+        return res.status(400).json({ error: `Cantidad inválida para producto ${it.id}` });
+      }
+    }
+
+    const { data: conteo } = await supabase.from('conteos').select('estado').eq('id', conteoId).maybeSingle();
+    if (!conteo) return res.status(404).json({ error: 'Conteo no encontrado' });
+    if (conteo.estado !== 'Abierto') return res.status(409).json({ error: `El conteo está ${conteo.estado}` });
+
+    const ahora = new Date().toISOString();
+    for (const it of items) {
+      const contado = it.contado === null ? null : Number(it.contado);
+      const { error } = await supabase
+        .from('conteos_items')
+        .update({ contado, contado_por: req.usuario.username, fecha_contado: contado === null ? null : ahora })
+        .eq('conteo_id', conteoId)
+        .eq('producto_id', it.id);
+      if (error) throw error;
+    }
+
+    res.json({ ok: true, guardados: items.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CONFIRMAR CONTEO: APLICA TODAS LAS DIFERENCIAS JUNTAS --- */
+app.post('/api/conteos/:id/confirmar', soloAdmin, async (req, res) => {
+  try {
+    const conteoId = req.params.id;
+    const actor = req.usuario.username;
+
+    // Tomamos el conteo (Abierto → Confirmado) para que nadie lo confirme dos veces
+    const { data: conteo, error } = await supabase
+      .from('conteos')
+      .update({ estado: 'Confirmado', confirmado_por: actor, fecha_confirmado: new Date().toISOString() })
+      .eq('id', conteoId)
+      .eq('estado', 'Abierto')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!conteo) return res.status(409).json({ error: 'El conteo no existe o ya no está abierto' });
+
+    const reabrir = () => supabase.from('conteos')
+      .update({ estado: 'Abierto', confirmado_por: null, fecha_confirmado: null }).eq('id', conteo.id);
+
+    try {
+      const items = await detalleConteo(conteo);
+      const cambios = items
+        .filter(i => i.diferencia !== null && i.diferencia !== 0)
+        .map(i => ({ id: i.producto_id, cantidad: i.diferencia }));
+
+      if (cambios.length > 0) {
+        const aplicado = await aplicarMovimientosStock(cambios, {
+          tipo: 'CONTEO',
+          referencia: `CNT-${conteo.id}`,
+          razon: `Conteo físico #${conteo.id} (${conteo.nombre}) confirmado por ${actor}`,
+          permitirNegativo: true
+        });
+        if (!aplicado.ok) {
+          await reabrir();
+          return res.status(409).json({ error: 'No se pudieron aplicar las diferencias', fallidos: aplicado.fallidos });
+        }
+      }
+
+      console.log(`✅ Conteo #${conteo.id} confirmado: ${cambios.length} productos ajustados`);
+      res.json({ ok: true, ajustados: cambios.length, sinContar: items.filter(i => i.contado === null).length });
+    } catch (err) {
+      await reabrir();
+      throw err;
+    }
+  } catch (err) {
+    console.error('❌ Error confirmando conteo:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- ANULAR CONTEO --- */
+app.put('/api/conteos/:id/anular', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('conteos').update({ estado: 'Anulado' }).eq('id', req.params.id).eq('estado', 'Abierto').select().maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(409).json({ error: 'Solo se pueden anular conteos abiertos' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   LISTAS DE PRECIOS
+   ========================================================= */
+// Todo precio que se muestra o se cobra sale de acá (ver precios.js)
+const LISTA_PRECIOS_DEFECTO = process.env.LISTA_PRECIOS_DEFECTO || 'minorista';
+
+async function cargarListasPrecios() {
+    const { data, error } = await supabase.from('listas_precios').select('*').eq('activa', true);
+    if (error) console.error("❌ Error leyendo listas de precios:", error.message);
+    return data && data.length > 0 ? data : LISTAS_INICIALES;
+}
+
+// Resuelve la lista a usar: nombre explícito > lista asignada al cliente > lista por defecto.
+// Devuelve null solo si se pidió un nombre que no existe.
+async function resolverListaPrecios({ nombre = null, userId = null } = {}) {
+    const listas = await cargarListasPrecios();
+    const porDefecto = listas.find(l => l.nombre === LISTA_PRECIOS_DEFECTO) || listas[0];
+    if (nombre) return listas.find(l => l.nombre === nombre) || null;
+
+    if (userId) {
+        const { data: cliente } = await supabase.from('clients_v2').select('lista_precios').eq('user_id', userId).maybeSingle();
+        const asignada = listas.find(l => l.nombre === cliente?.lista_precios);
+        if (asignada) return asignada;
+    }
+    return porDefecto;
+}
+
+// Lista de quien hace el pedido: un cliente siempre usa la suya; el personal puede elegir con ?lista=
+function listaDelRequest(req, { nombre = null, userId = null } = {}) {
+    if (req.usuario?.rol === 'cliente') return resolverListaPrecios({ userId: req.usuario.user_id });
+    if (req.usuario) return resolverListaPrecios({ nombre, userId });
+    return resolverListaPrecios();
+}
+
+/* --- VER LISTAS --- */
+app.get('/api/listas-precios', soloPersonal, async (req, res) => {
+  try {
+    res.json({ defecto: LISTA_PRECIOS_DEFECTO, listas: await cargarListasPrecios() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CREAR / EDITAR LISTA --- */
+app.put('/api/listas-precios/:nombre', soloAdmin, async (req, res) => {
+  try {
+    const nombre = String(req.params.nombre).trim().toLowerCase();
+    const { descripcion, multiplicador, reglas = [], activa = true } = req.body;
+
+    if (!nombre) return res.status(400).json({ error: 'Falta el nombre' });
+    if (!(Number(multiplicador) > 0)) return res.status(400).json({ error: 'El multiplicador debe ser mayor a cero' });
+    const errorReglas = validarReglas(reglas);
+    if (errorReglas) return res.status(400).json({ error: errorReglas });
+    if (!activa && nombre === LISTA_PRECIOS_DEFECTO) {
+      return res.status(400).json({ error: 'No se puede desactivar la lista por defecto' });
+    }
+
+    const { data, error } = await supabase
+      .from('listas_precios')
+      .upsert({ nombre, descripcion: descripcion || null, multiplicador: Number(multiplicador), reglas, activa: !!activa })
+      .select()
+      .single();
+    if (error) throw error;
+
+    console.log(`🏷️ Lista de precios '${nombre}' guardada por ${req.usuario.username}`);
+    res.json({ ok: true, lista: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- ASIGNAR LISTA A UN CLIENTE --- */
+app.put('/api/clientes/:userId/lista-precios', soloAdmin, async (req, res) => {
+  try {
+    const nombre = req.body.lista || null;
+    if (nombre && !(await resolverListaPrecios({ nombre }))) {
+      return res.status(400).json({ error: `No existe la lista ${nombre}` });
+    }
+
+    const { data, error } = await supabase
+      .from('clients_v2')
+      .update({ lista_precios: nombre })
+      .eq('user_id', req.params.userId)
+      .select('name, user_id, lista_precios')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Cliente no encontrado' });
+    res.json({ ok: true, cliente: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- COTIZAR ITEMS CON UNA LISTA --- */
+// Body: { items: [{ id, cantidad }], lista?, user_id? }
+app.post('/api/cotizar', soloLogueado, async (req, res) => {
+  try {
+    const { items, lista: nombre, user_id } = req.body;
+    if (!Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'No hay items' });
+
+    const lista = await listaDelRequest(req, { nombre, userId: user_id });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${nombre}` });
+
+    const { data: productosDB, error } = await supabase.from('productos').select('*').in('id', items.map(i => i.id));
+    if (error) throw error;
+
+    // Los discontinuados no se cotizan: vuelven en omitidos
+    const vendibles = productosDB.filter(p => p.activo !== false);
+    res.json({ lista: lista.nombre, ...cotizarItems(vendibles, items, lista) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- SIMULAR PRECIOS DE UN PRODUCTO NUEVO EN TODAS LAS LISTAS --- */
+app.post('/api/precios/simular', soloAdmin, async (req, res) => {
+  try {
+    const producto = { id: req.body.id ?? null, precio: Number(req.body.precio) || 0, categoria: req.body.categoria || null };
+    const listas = await cargarListasPrecios();
+    res.json(listas.map(l => ({
+      lista: l.nombre,
+      descripcion: l.descripcion,
+      multiplicador: multiplicadorPara(producto, l),
+      precio: precioDeLista(producto, l)
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   ACTUALIZACIÓN MASIVA DE PRECIOS
+   ========================================================= */
+// Productos que cumplen el filtro: { categoria, proveedor_id, nombre } (nombre admite * como comodín)
+async function productosFiltrados({ categoria, proveedor_id, nombre }) {
+    let productos = [];
+    let from = 0;
+    const limit = 1000;
+    while (true) {
+        let query = supabase.from('productos').select('id, nombre, precio, categoria, proveedor_id')
+            .order('id', { ascending: true }).range(from, from + limit - 1);
+        if (categoria) query = query.eq('categoria', categoria);
+        if (proveedor_id) query = query.eq('proveedor_id', proveedor_id);
+        if (nombre) {
+            // %, _ y \ se buscan literales; solo * es comodín
+            const literal = String(nombre).replace(/[\\%_]/g, c => `\\${c}`);
+            const patron = literal.includes('*') ? literal.replace(/\*/g, '%') : `%${literal}%`;
+            query = query.ilike('nombre', patron);
+        }
+        const { data, error } = await query;
+        if (error) throw error;
+        productos = productos.concat(data || []);
+        if (!data || data.length < limit) return productos;
+        from += limit;
+    }
+}
+
+function nuevoPrecio(precio, tipo, valor) {
+    const base = Number(precio) || 0;
+    const resultado = tipo === 'porcentaje' ? base * (1 + valor / 100) : base + valor;
+    return Math.round(resultado * 100) / 100;
+}
+
+/* --- ACTUALIZAR PRECIOS (CON VISTA PREVIA) --- */
+// Body: { filtro: { categoria?, proveedor_id?, nombre? }, tipo: 'porcentaje' | 'fijo', valor, motivo?, simular? }
+app.post('/api/precios/actualizar-masivo', soloAdmin, async (req, res) => {
+  try {
+    const filtro = req.body.filtro || {};
+    const { tipo, motivo } = req.body;
+    const valor = Number(req.body.valor);
+    const simular = req.body.simular !== false;
+
+    if (!['porcentaje', 'fijo'].includes(tipo)) return res.status(400).json({ error: "Tipo inválido (porcentaje, fijo)" });
+    if (!Number.isFinite(valor) || valor === 0) return res.status(400).json({ error: 'Valor inválido' });
+    if (!filtro.categoria && !filtro.proveedor_id && !filtro.nombre && filtro.todos !== true) {
+      return res.status(400).json({ error: 'Indicá un filtro (categoría, proveedor o nombre) o todos: true' });
+    }
+
+    const productos = await productosFiltrados(filtro);
+    const cambios = productos.map(p => ({
+      id: p.id,
+      nombre: p.nombre,
+      categoria: p.categoria,
+      precio_anterior: Number(p.precio) || 0,
+      precio_nuevo: nuevoPrecio(p.precio, tipo, valor)
+    }));
+
+    const invalidos = cambios.filter(c => c.precio_nuevo <= 0);
+    if (invalidos.length > 0) {
+      return res.status(400).json({ error: `${invalidos.length} productos quedarían con precio 0 o negativo`, invalidos });
+    }
+
+    if (simular) return res.json({ simulacion: true, total: cambios.length, cambios });
+
+    const lote = `PM-${Date.now()}`;
+    const { data, error } = await supabase.rpc('actualizar_precios_masivo', {
+      p_cambios: cambios.map(c => ({ id: c.id, precio_anterior: c.precio_anterior, precio_nuevo: c.precio_nuevo })),
+      p_lote: lote,
+      p_usuario: req.usuario.username,
+      p_motivo: motivo || null
+    });
+    if (error) throw error;
+
+    console.log(`🏷️ Actualización masiva ${lote}: ${data.aplicados} precios (${tipo} ${valor}) por ${req.usuario.username}`);
+    res.json({ ok: true, lote, aplicados: data.aplicados, omitidos: data.omitidos });
+  } catch (err) {
+    console.error('❌ Error en actualización masiva de precios:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- HISTORIAL DE PRECIOS --- */
+app.get('/api/precios/historial', soloPersonal, async (req, res) => {
+  try {
+    const { producto_id, lote } = req.query;
+    let query = supabase.from('historial_precios').select('*').order('fecha', { ascending: false })
+      .limit(Math.min(Number(req.query.limite) || 200, 1000));
+    if (producto_id) query = query.eq('producto_id', producto_id);
+    if (lote) query = query.eq('lote', lote);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   IMPORTACIÓN DE LISTAS DE PROVEEDORES
+   ========================================================= */
+// Planillas en memoria (CSV o XLSX), hasta 5 MB
+const subidaPlanilla = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } }).single('archivo');
+
+function recibirPlanilla(req, res, next) {
+    subidaPlanilla(req, res, err => {
+        if (err) return res.status(400).json({ error: `Archivo inválido: ${err.message}` });
+        if (!req.file) return res.status(400).json({ error: "Falta el archivo (campo 'archivo')" });
+        next();
+    });
+}
+
+// Valor "plano" de una celda de ExcelJS (fórmulas, hipervínculos, texto enriquecido)
+function valorCelda(v) {
+    if (v === null || v === undefined) return '';
+    if (v instanceof Date) return v.toISOString().slice(0, 10);
+    if (typeof v === 'object') {
+        if (v.result !== undefined) return valorCelda(v.result);
+        if (v.text !== undefined) return valorCelda(v.text);
+        if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+        return '';
+    }
+    return v;
+}
+
+// Devuelve la tabla cruda (primera fila = encabezado)
+async function leerPlanilla(file) {
+    const nombre = (file.originalname || '').toLowerCase();
+    if (nombre.endsWith('.csv') || nombre.endsWith('.txt')) {
+        return parsearCSV(file.buffer.toString('utf8'));
+    }
+    if (nombre.endsWith('.xlsx')) {
+        const libro = new ExcelJS.Workbook();
+        await libro.xlsx.load(file.buffer);
+        const hoja = libro.worksheets[0];
+        if (!hoja) return [];
+        const tabla = [];
+        hoja.eachRow(fila => {
+            tabla.push(Array.from(fila.values.slice(1), valorCelda));
+        });
+        return tabla;
+    }
+    throw new Error('Formato no soportado (usá .csv o .xlsx)');
+}
+
+const resumenProducto = p => p && ({
+    id: p.id, nombre: p.nombre, sku: p.sku, categoria: p.categoria,
+    precio: p.precio, costo: p.costo, proveedor_id: p.proveedor_id
+});
+
+/* --- ANALIZAR LISTA DE PROVEEDOR --- */
+// multipart/form-data con 'archivo'. No modifica nada: devuelve las filas emparejadas para revisar.
+app.post('/api/importar-lista-proveedor/analizar', soloAdmin, recibirPlanilla, async (req, res) => {
+  try {
+    let filas;
+    try {
+      filas = filasDesdeTabla(await leerPlanilla(req.file));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (filas.length === 0) return res.status(400).json({ error: 'El archivo no tiene filas con datos' });
+
+    const productos = await leerProductosPaginado('id, nombre, sku, link, categoria, precio, costo, proveedor_id');
+    const emparejadas = emparejarFilas(filas, productos).map(f => ({
+      ...f,
+      producto: resumenProducto(f.producto),
+      candidatos: f.candidatos.map(c => ({ ...resumenProducto(c), score: c.score }))
+    }));
+
+    const resumen = { match: 0, ambiguo: 0, sin_match: 0 };
+    emparejadas.forEach(f => resumen[f.estado]++);
+
+    console.log(`📥 Lista analizada (${req.file.originalname}): ${resumen.match} match, ${resumen.ambiguo} ambiguas, ${resumen.sin_match} sin match`);
+    res.json({ archivo: req.file.originalname, total: emparejadas.length, resumen, filas: emparejadas });
+  } catch (err) {
+    console.error('❌ Error analizando lista de proveedor:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- APLICAR LISTA DE PROVEEDOR --- */
+// Body: {
+//   proveedor_id?, motivo?,
+//   actualizar: [{ id, precio_anterior, precio?, costo? }],
+//   crear: [{ nombre, precio, costo?, categoria?, sku?, link? }]
+// }
+app.post('/api/importar-lista-proveedor/aplicar', soloAdmin, async (req, res) => {
+  try {
+    const { proveedor_id, motivo } = req.body;
+    const actualizar = Array.isArray(req.body.actualizar) ? req.body.actualizar : [];
+    const crear = Array.isArray(req.body.crear) ? req.body.crear : [];
+    if (actualizar.length === 0 && crear.length === 0) return res.status(400).json({ error: 'No hay nada para aplicar' });
+
+    const numeroOpcional = v => (v === null || v === undefined || v === '' ? null : Number(v));
+    const cambios = actualizar.map(a => ({
+      id: a.id,
+      precio_anterior: Number(a.precio_anterior) || 0,
+      precio_nuevo: numeroOpcional(a.precio),
+      costo_nuevo: numeroOpcional(a.costo)
+    }));
+    const invalidos = cambios.filter(c => !c.id
+      || (c.precio_nuevo !== null && !(c.precio_nuevo > 0))
+      || (c.costo_nuevo !== null && !(c.costo_nuevo >= 0))
+      || (c.precio_nuevo === null && c.costo_nuevo === null));
+    if (invalidos.length > 0) return res.status(400).json({ error: `${invalidos.length} filas a actualizar tienen precio/costo inválido`, invalidos });
+
+    const nuevosInvalidos = crear.filter(c => !c.nombre || !(Number(c.precio) > 0));
+    if (nuevosInvalidos.length > 0) return res.status(400).json({ error: `${nuevosInvalidos.length} productos nuevos sin nombre o con precio inválido`, invalidos: nuevosInvalidos });
+
+    const lote = `IMP-${Date.now()}`;
+    let aplicados = 0;
+    let omitidos = [];
+    if (cambios.length > 0) {
+      const { data, error } = await supabase.rpc('actualizar_precios_masivo', {
+        p_cambios: cambios,
+        p_lote: lote,
+        p_usuario: req.usuario.username,
+        p_motivo: motivo || 'Importación lista de proveedor'
+      });
+      if (error) throw error;
+      aplicados = data.aplicados;
+      omitidos = data.omitidos || [];
+
+      if (proveedor_id) {
+        const ids = cambios.map(c => c.id).filter(id => !omitidos.some(o => String(o) === String(id)));
+        if (ids.length > 0) {
+          const { error: provError } = await supabase.from('productos').update({ proveedor_id }).in('id', ids);
+          if (provError) console.error('⚠️ No se pudo asignar el proveedor a los productos importados:', provError.message);
+        }
+      }
+    }
+
+    // Los nuevos pasan por el mismo alta que /api/crear-producto
+    const creados = [];
+    const errores = [];
+    for (const c of crear) {
+      try {
+        const producto = await crearProducto({
+          nombre: String(c.nombre).trim(),
+          precio: c.precio,
+          categoria: c.categoria || null,
+          stock: 0,
+          link: c.link || null,
+          sku: c.sku || null,
+          costo: numeroOpcional(c.costo),
+          proveedor_id: proveedor_id || null
+        }, req.usuario.username);
+        creados.push({ id: producto.id, nombre: producto.nombre });
+      } catch (err) {
+        errores.push({ nombre: c.nombre, error: err.message });
+      }
+    }
+
+    console.log(`📥 Importación ${lote}: ${aplicados} actualizados, ${omitidos.length} omitidos, ${creados.length} creados por ${req.usuario.username}`);
+    res.json({ ok: errores.length === 0, lote, aplicados, omitidos, creados, errores });
+  } catch (err) {
+    console.error('❌ Error aplicando lista de proveedor:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   ABM DE PRODUCTOS (EDICIÓN, BAJA LÓGICA E IMAGEN)
+   ========================================================= */
+// Campos que se pueden editar desde el panel. El stock no: va por ajustes, compras o conteos.
+const CAMPOS_PRODUCTO = ['nombre', 'precio', 'categoria', 'link', 'sku', 'costo', 'proveedor_id', 'stock_minimo', 'demora_reposicion_dias'];
+const CAMPOS_NUMERICOS = ['precio', 'costo', 'proveedor_id', 'stock_minimo', 'demora_reposicion_dias'];
+
+// La auditoría no debe tirar abajo la operación: si falla, se loguea y sigue
+async function registrarAuditoriaProducto(productoId, accion, cambios, usuario) {
+    const { error } = await supabase.from('auditoria_productos').insert([{
+        producto_id: productoId, accion, cambios, usuario: usuario || null, fecha: new Date().toISOString()
+    }]);
+    if (error) console.error(`⚠️ No se pudo auditar ${accion} del producto ${productoId}:`, error.message);
+}
+
+function valorCampoProducto(campo, valor) {
+    if (valor === undefined) return undefined;
+    if (valor === null || String(valor).trim() === '') return null;
+    if (CAMPOS_NUMERICOS.includes(campo)) return Number(valor);
+    return String(valor).trim();
+}
+
+const subidaImagen = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 8 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/'))
+}).single('imagen');
+
+function recibirImagen(req, res, next) {
+    subidaImagen(req, res, err => {
+        if (err) return res.status(400).json({ error: `Imagen inválida: ${err.message}` });
+        if (!req.file) return res.status(400).json({ error: "Falta la imagen (campo 'imagen', jpg/png/webp)" });
+        next();
+    });
+}
+
+/* --- EDITAR PRODUCTO --- */
+// Body: cualquier subconjunto de CAMPOS_PRODUCTO (+ motivo). Precio y costo quedan en historial_precios.
+app.put('/api/productos/:id', soloAdmin, async (req, res) => {
+  try {
+    const { data: actual, error: getErr } = await supabase.from('productos').select('*').eq('id', req.params.id).maybeSingle();
+    if (getErr) throw getErr;
+    if (!actual) return res.status(404).json({ error: 'Producto no encontrado' });
+
+    const cambios = {};
+    for (const campo of CAMPOS_PRODUCTO) {
+      const nuevo = valorCampoProducto(campo, req.body[campo]);
+      if (nuevo === undefined) continue;
+      const anterior = CAMPOS_NUMERICOS.includes(campo) && actual[campo] !== null ? Number(actual[campo]) : actual[campo];
+      if (nuevo !== (anterior ?? null)) cambios[campo] = { antes: anterior ?? null, despues: nuevo };
+    }
+
+    if (cambios.nombre && !cambios.nombre.despues) return res.status(400).json({ error: 'El nombre no puede quedar vacío' });
+    if (cambios.precio && !(cambios.precio.despues > 0)) return res.status(400).json({ error: 'Precio inválido' });
+    if (cambios.costo && !(cambios.costo.despues >= 0)) return res.status(400).json({ error: 'Costo inválido' });
+    if (cambios.proveedor_id && cambios.proveedor_id.despues !== null && !Number.isInteger(cambios.proveedor_id.despues)) {
+      return res.status(400).json({ error: 'Proveedor inválido' });
+    }
+    if (cambios.stock_minimo && cambios.stock_minimo.despues !== null && !(cambios.stock_minimo.despues >= 0)) {
+      return res.status(400).json({ error: 'Stock mínimo inválido' });
+    }
+    const demora = cambios.demora_reposicion_dias?.despues;
+    if (demora !== undefined && demora !== null && !(Number.isInteger(demora) && demora >= 0)) {
+      return res.status(400).json({ error: 'Demora de reposición inválida (días enteros)' });
+    }
+    if (Object.keys(cambios).length === 0) return res.json({ ok: true, mensaje: 'Sin cambios', producto: actual });
+
+    // 1. Precio/costo por la misma RPC que la actualización masiva (historial + control de concurrencia)
+    if (cambios.precio || cambios.costo) {
+      const { data, error } = await supabase.rpc('actualizar_precios_masivo', {
+        p_cambios: [{
+          id: actual.id,
+          precio_anterior: Number(actual.precio),
+          precio_nuevo: cambios.precio ? cambios.precio.despues : null,
+          costo_nuevo: cambios.costo ? cambios.costo.despues : null
+        }],
+        p_lote: `ED-${Date.now()}`,
+        p_usuario: req.usuario.username,
+        p_motivo: req.body.motivo || 'Edición de producto'
+      });
+      if (error) throw error;
+      if (data.aplicados === 0) return res.status(409).json({ error: 'El precio cambió mientras editabas. Recargá el producto.' });
+    }
+
+    // 2. Resto de los campos
+    const resto = {};
+    for (const [campo, c] of Object.entries(cambios)) {
+      if (campo !== 'precio' && campo !== 'costo') resto[campo] = c.despues;
+    }
+    if (Object.keys(resto).length > 0) {
+      const { error } = await supabase.from('productos').update(resto).eq('id', actual.id);
+      if (error) throw error;
+    }
+
+    await registrarAuditoriaProducto(actual.id, 'editar', cambios, req.usuario.username);
+
+    const { data: producto, error: refErr } = await supabase.from('productos').select('*').eq('id', actual.id).single();
+    if (refErr) throw refErr;
+    console.log(`✏️ Producto ${actual.id} editado por ${req.usuario.username}: ${Object.keys(cambios).join(', ')}`);
+    res.json({ ok: true, producto, cambios });
+  } catch (err) {
+    console.error('❌ Error editando producto:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- DESACTIVAR PRODUCTO (BAJA LÓGICA) --- */
+// No se borra: sigue en pedidos, historial y reportes, pero sale del catálogo y no se puede pedir
+app.delete('/api/productos/:id', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('productos')
+      .update({ activo: false, discontinuado_en: new Date().toISOString() })
+      .eq('id', req.params.id).eq('activo', true)
+      .select('id, nombre');
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: 'Producto no encontrado o ya desactivado' });
+
+    await registrarAuditoriaProducto(data[0].id, 'desactivar', { activo: { antes: true, despues: false } }, req.usuario.username);
+    console.log(`🚫 Producto ${data[0].id} (${data[0].nombre}) desactivado por ${req.usuario.username}`);
+    res.json({ ok: true, mensaje: 'Producto desactivado' });
+  } catch (err) {
+    console.error('❌ Error desactivando producto:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- REACTIVAR PRODUCTO --- */
+app.put('/api/productos/:id/reactivar', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('productos')
+      .update({ activo: true, discontinuado_en: null })
+      .eq('id', req.params.id).eq('activo', false)
+      .select('id, nombre');
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: 'Producto no encontrado o ya activo' });
+
+    await registrarAuditoriaProducto(data[0].id, 'reactivar', { activo: { antes: false, despues: true } }, req.usuario.username);
+    console.log(`♻️ Producto ${data[0].id} (${data[0].nombre}) reactivado por ${req.usuario.username}`);
+    res.json({ ok: true, mensaje: 'Producto reactivado' });
+  } catch (err) {
+    console.error('❌ Error reactivando producto:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- SUBIR IMAGEN DE PRODUCTO --- */
+// multipart/form-data con 'imagen'. Se normaliza a PNG de hasta 800x800 en el bucket 'imagenes' como <id>.png
+app.post('/api/productos/:id/imagen', soloAdmin, recibirImagen, async (req, res) => {
+  try {
+    const { data: producto, error: getErr } = await supabase.from('productos').select('id, imagen').eq('id', req.params.id).maybeSingle();
+    if (getErr) throw getErr;
+    if (!producto) return res.status(404).json({ error: 'Producto no encontrado' });
+
+    let png;
+    try {
+      png = await sharp(req.file.buffer)
+        .rotate()
+        .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+    } catch (e) {
+      return res.status(400).json({ error: 'No se pudo leer la imagen' });
+    }
+
+    const archivo = `${producto.id}.png`;
+    const { error: upErr } = await supabase.storage.from('imagenes')
+      .upload(archivo, png, { contentType: 'image/png', upsert: true, cacheControl: '300' });
+    if (upErr) throw upErr;
+
+    const imagen = `imagenes/${archivo}`;
+    if (producto.imagen !== imagen) {
+      const { error } = await supabase.from('productos').update({ imagen }).eq('id', producto.id);
+      if (error) throw error;
+    }
+
+    await registrarAuditoriaProducto(producto.id, 'imagen', {
+      imagen: { antes: producto.imagen, despues: imagen }, original: req.file.originalname, bytes: png.length
+    }, req.usuario.username);
+    console.log(`🖼️ Imagen del producto ${producto.id} actualizada (${Math.round(png.length / 1024)} KB)`);
+    res.json({ ok: true, imagen });
+  } catch (err) {
+    console.error('❌ Error subiendo imagen:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- AUDITORÍA DE UN PRODUCTO --- */
+app.get('/api/productos/:id/auditoria', soloPersonal, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('auditoria_productos').select('*')
+      .eq('producto_id', req.params.id).order('fecha', { ascending: false }).limit(200);
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   PORTAL DEL CLIENTE (MI CUENTA)
+   ========================================================= */
+// Se lee de la base y no del token: si el admin vinculó el user_id después del login, ya vale
+async function cuentaDeSesion(req) {
+    const { data, error } = await supabase.from('usuarios')
+        .select('id, username, rol, user_id, activo, perfil').eq('id', req.usuario.id).maybeSingle();
+    if (error) throw error;
+    return data && data.activo ? data : null;
+}
+
+// user_id de cobranzas a consultar: el propio para un cliente, ?uid= para el personal
+async function userIdDeSesion(req) {
+    if (req.usuario.rol !== 'cliente') return req.query.uid || null;
+    const cuenta = await cuentaDeSesion(req);
+    return cuenta ? cuenta.user_id : null;
+}
+
+// true si la sesión es de un cliente y el recurso (pedido, petición, nota) no es suyo.
+// Un cliente sin user_id vinculado no accede a nada: comparar null con null le abriría
+// los pedidos de mostrador e invitados, que tampoco tienen user_id.
+async function esAjenoAlCliente(req, userIdDelRecurso) {
+    if (req.usuario.rol !== 'cliente') return false;
+    const propio = await userIdDeSesion(req);
+    return !propio || !userIdDelRecurso || String(userIdDelRecurso) !== String(propio);
+}
+
+const CAMPOS_PERFIL = ['nombre', 'apellido', 'email', 'telefono'];
+
+/* --- MI CUENTA: PERFIL, SALDO Y DEUDAS --- */
+app.get('/api/mi-cuenta', soloLogueado, async (req, res) => {
+  try {
+    const cuenta = await cuentaDeSesion(req);
+    if (!cuenta) return res.status(401).json({ error: 'Sesión inválida' });
+
+    const respuesta = { usuario: usuarioPublico(cuenta), perfil: cuenta.perfil || {}, cliente: null };
+    if (cuenta.user_id) {
+      const cliente = await buscarClienteCobranzas(cuenta.user_id);
+      if (cliente) {
+        const items = cliente.data?.items || [];
+        respuesta.cliente = {
+          nombre: cliente.name,
+          lista_precios: cliente.lista_precios || LISTA_PRECIOS_DEFECTO,
+          saldo: saldoPendiente(items),
+          deudas: items.filter(i => i.type === 'debt').map(i => ({
+            id: i.id,
+            fecha: i.date,
+            monto: i.amount || 0,
+            pagado: i.paid || 0,
+            pendiente: Math.max(0, (i.amount || 0) - (i.paid || 0)),
+            notas: i.notes || ''
+          }))
+        };
+      }
+    }
+    res.json(respuesta);
+  } catch (err) {
+    console.error('❌ Error cargando mi cuenta:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- MI CUENTA: GUARDAR PERFIL --- */
+app.put('/api/mi-cuenta/perfil', soloLogueado, async (req, res) => {
+  try {
+    const perfil = {};
+    for (const campo of CAMPOS_PERFIL) {
+      const valor = String(req.body[campo] ?? '').trim();
+      if (valor.length > 120) return res.status(400).json({ error: `El campo ${campo} es demasiado largo` });
+      perfil[campo] = valor;
+    }
+    if (perfil.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(perfil.email)) return res.status(400).json({ error: 'Email inválido' });
+
+    const { error } = await supabase.from('usuarios').update({ perfil }).eq('id', req.usuario.id);
+    if (error) throw error;
+    res.json({ ok: true, perfil });
+  } catch (err) {
+    console.error('❌ Error guardando perfil:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- PDF DE UNA PETICIÓN (PENDIENTE) --- */
+app.get('/api/peticiones/:id/pdf', soloLogueado, async (req, res) => {
+  try {
+    const { data: peticion, error } = await supabase.from('Peticiones').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!peticion) return res.status(404).json({ error: 'Petición no encontrada' });
+    if (await esAjenoAlCliente(req, peticion.user_id)) {
+      return res.status(403).json({ error: 'No tenés permisos para ver esta petición' });
+    }
+
+    const pdfBuffer = await generarPDF({ ...peticion, user: peticion.nombre });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=peticion_${peticion.id}.pdf`);
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error('❌ Error generando PDF de petición:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   PEDIDOS RECURRENTES (REPETIR, CANASTAS Y SUGERIDOS)
+   ========================================================= */
+// Arma un carrito nuevo con precios y stock de hoy a partir de items [{ id, cantidad }].
+// Los discontinuados se omiten; con VENDER_SIN_STOCK=false la cantidad se recorta al stock.
+async function armarCarrito(itemsOrigen, lista) {
+    const pedidos = (itemsOrigen || []).filter(it => it && it.id !== undefined && Number(it.cantidad) > 0);
+    if (pedidos.length === 0) return { items: [], total: 0, omitidos: [] };
+
+    const { data: productosDB, error } = await supabase.from('productos').select('*').in('id', pedidos.map(it => it.id));
+    if (error) throw error;
+
+    const omitidos = [];
+    const pedibles = [];
+    for (const it of pedidos) {
+        const prod = (productosDB || []).find(p => String(p.id) === String(it.id));
+        if (!prod || prod.activo === false) {
+            omitidos.push({ id: it.id, nombre: it.nombre || prod?.nombre || null, motivo: 'discontinuado' });
+            continue;
+        }
+        const stock = Number(prod.stock) || 0;
+        let cantidad = Number(it.cantidad);
+        if (!VENDER_SIN_STOCK) {
+            if (stock <= 0) {
+                omitidos.push({ id: prod.id, nombre: prod.nombre, motivo: 'sin stock' });
+                continue;
+            }
+            cantidad = Math.min(cantidad, stock);
+        }
+        pedibles.push({ id: prod.id, cantidad, cantidad_original: Number(it.cantidad), stock });
+    }
+
+    const { items, total } = cotizarItems(productosDB, pedibles, lista);
+    return {
+        items: items.map(it => {
+            const origen = pedibles.find(p => String(p.id) === String(it.id));
+            return { ...it, cantidad_original: origen.cantidad_original, stock: origen.stock, stock_suficiente: origen.stock >= it.cantidad };
+        }),
+        total,
+        omitidos
+    };
+}
+
+function validarItemsCanasta(items) {
+    if (!Array.isArray(items) || items.length === 0) return 'La canasta necesita al menos un producto';
+    if (items.length > 300) return 'La canasta no puede tener más de 300 productos';
+    if (items.some(it => !it || it.id === undefined || !(Number(it.cantidad) > 0))) return 'Cada producto necesita id y cantidad mayor a cero';
+    return null;
+}
+
+/* --- REPETIR PEDIDO --- */
+// No crea nada: devuelve el carrito para que el cliente lo revise y lo envíe
+app.get('/api/pedidos/:id/repetir', soloLogueado, async (req, res) => {
+  try {
+    const { data: pedido, error } = await supabase.from('pedidos').select('id, user_id, items').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!pedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (await esAjenoAlCliente(req, pedido.user_id)) {
+      return res.status(403).json({ error: 'No tenés permisos para ver este pedido' });
+    }
+
+    const lista = await listaDelRequest(req, { nombre: req.query.lista, userId: pedido.user_id });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${req.query.lista}` });
+    const carrito = await armarCarrito(pedido.items || [], lista);
+    res.json({ pedido_id: pedido.id, lista: lista.nombre, ...carrito });
+  } catch (err) {
+    console.error('❌ Error repitiendo pedido:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- MIS CANASTAS --- */
+app.get('/api/canastas', soloLogueado, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('canastas').select('*')
+      .eq('usuario_id', req.usuario.id).order('nombre', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- GUARDAR CANASTA (SI EL NOMBRE YA EXISTE, SE REEMPLAZA) --- */
+app.post('/api/canastas', soloLogueado, async (req, res) => {
+  try {
+    const nombre = String(req.body.nombre || '').trim();
+    if (!nombre || nombre.length > 60) return res.status(400).json({ error: 'Nombre inválido (1 a 60 caracteres)' });
+    const errorItems = validarItemsCanasta(req.body.items);
+    if (errorItems) return res.status(400).json({ error: errorItems });
+
+    const items = req.body.items.map(it => ({ id: it.id, cantidad: Number(it.cantidad) }));
+    const { data, error } = await supabase.from('canastas')
+      .upsert({ usuario_id: req.usuario.id, nombre, items, actualizado: new Date().toISOString() }, { onConflict: 'usuario_id,nombre' })
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ ok: true, canasta: data });
+  } catch (err) {
+    console.error('❌ Error guardando canasta:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- CARGAR CANASTA (PRECIOS Y STOCK DE HOY) --- */
+app.get('/api/canastas/:id/cargar', soloLogueado, async (req, res) => {
+  try {
+    const { data: canasta, error } = await supabase.from('canastas').select('*')
+      .eq('id', req.params.id).eq('usuario_id', req.usuario.id).maybeSingle();
+    if (error) throw error;
+    if (!canasta) return res.status(404).json({ error: 'Canasta no encontrada' });
+
+    const lista = await listaDelRequest(req, { nombre: req.query.lista });
+    if (!lista) return res.status(400).json({ error: `No existe la lista ${req.query.lista}` });
+    res.json({ canasta_id: canasta.id, nombre: canasta.nombre, lista: lista.nombre, ...await armarCarrito(canasta.items, lista) });
+  } catch (err) {
+    console.error('❌ Error cargando canasta:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- BORRAR CANASTA --- */
+app.delete('/api/canastas/:id', soloLogueado, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('canastas').delete()
+      .eq('id', req.params.id).eq('usuario_id', req.usuario.id).select('id');
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: 'Canasta no encontrada' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- SUGERIDOS (FRECUENCIA DE COMPRA DEL CLIENTE) --- */
+// Cliente: los suyos. Personal: los de ?uid=
+app.get('/api/sugeridos', soloLogueado, async (req, res) => {
+  try {
+    const userId = await userIdDeSesion(req);
+    if (!userId) return res.json({ sugeridos: [] });
+
+    const desde = new Date();
+    desde.setMonth(desde.getMonth() - MESES_SUGERIDOS);
+    const { data: pedidos, error } = await supabase.from('pedidos').select('fecha, estado, items')
+      .eq('user_id', userId).gte('fecha', desde.toISOString());
+    if (error) throw error;
+
+    const candidatos = calcularSugeridos((pedidos || []).filter(p => estadoDePedido(p) !== 'Cancelado'));
+    if (candidatos.length === 0) return res.json({ sugeridos: [] });
+
+    // Precio y stock de hoy; los discontinuados se descartan
+    const lista = await listaDelRequest(req, { userId });
+    const { items } = await armarCarrito(candidatos.map(c => ({ id: c.id, cantidad: c.cantidad_sugerida })), lista);
+    const sugeridos = candidatos
+      .map(c => {
+        const it = items.find(i => String(i.id) === String(c.id));
+        return it && { ...c, nombre: it.nombre, precio_unitario: it.precio_unitario, stock: it.stock };
+      })
+      .filter(Boolean);
+
+    res.json({ lista: lista.nombre, sugeridos });
+  } catch (err) {
+    console.error('❌ Error calculando sugeridos:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   DEVOLUCIONES Y NOTAS DE CRÉDITO
+   ========================================================= */
+// Una devolución referencia un pedido y algunas de sus líneas (a los precios de ese pedido).
+// El pedido queda intacto como venta; la devolución repone stock (tipo DEVOLUCION), genera una
+// nota de crédito numerada por punto de venta y baja la deuda del pedido en cobranzas.
+
+// Map id de producto (string) -> unidades ya devueltas del pedido
+async function cantidadesDevueltas(pedidoId) {
+    const { data, error } = await supabase.from('devoluciones').select('items').eq('pedido_id', String(pedidoId));
+    if (error) throw error;
+    const devueltas = new Map();
+    for (const dev of data || []) {
+        for (const it of dev.items || []) {
+            const clave = String(it.id);
+            devueltas.set(clave, (devueltas.get(clave) || 0) + (Number(it.cantidad) || 0));
+        }
+    }
+    return devueltas;
+}
+
+// Líneas del pedido con lo vendido, lo ya devuelto y lo que todavía se puede devolver
+function lineasDevolvibles(pedido, devueltas) {
+    const lineas = new Map();
+    for (const it of pedido.items || []) {
+        const clave = String(it.id);
+        const linea = lineas.get(clave) || {
+            id: it.id, nombre: it.nombre, precio_unitario: Number(it.precio_unitario ?? it.precio) || 0,
+            costo_unitario: it.costo_unitario ?? null, vendido: 0
+        };
+        linea.vendido += Number(it.cantidad) || 0;
+        if (it.costo_unitario === null || it.costo_unitario === undefined) linea.costo_unitario = null;
+        lineas.set(clave, linea);
+    }
+    return [...lineas.values()].map(l => {
+        const devuelto = devueltas.get(String(l.id)) || 0;
+        return { ...l, devuelto, disponible: Math.max(0, l.vendido - devuelto) };
+    });
+}
+
+// Acepta el id interno o el número impreso ("0001-00000042")
+async function buscarPedidoPorReferencia(ref) {
+    const numerado = /^([A-Za-z0-9]+)-(\d+)$/.exec(String(ref).trim());
+    const query = numerado
+        ? supabase.from('pedidos').select('*').eq('punto_venta', numerado[1]).eq('numero', Number(numerado[2]))
+        : supabase.from('pedidos').select('*').eq('id', String(ref));
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+const numeroNotaCredito = d => `${d.punto_venta}-${String(d.numero).padStart(8, '0')}`;
+
+/* --- LÍNEAS DEVOLVIBLES Y DEVOLUCIONES DE UN PEDIDO --- */
+app.get('/api/pedidos/:id/devoluciones', soloPersonal, async (req, res) => {
+  try {
+    const pedido = await buscarPedidoPorReferencia(req.params.id);
+    if (!pedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+
+    const { data: devoluciones, error: errDev } = await supabase
+      .from('devoluciones').select('*').eq('pedido_id', String(pedido.id)).order('fecha', { ascending: true });
+    if (errDev) throw errDev;
+
+    res.json({
+      pedido: { id: pedido.id, numero: numeroDePedido(pedido), user: pedido.user, nombre_negocio: pedido.nombre_negocio, estado: estadoDePedido(pedido), fecha: pedido.fecha, total: pedido.total, total_devuelto: Number(pedido.total_devuelto) || 0 },
+      lineas: lineasDevolvibles(pedido, await cantidadesDevueltas(pedido.id)),
+      devoluciones: (devoluciones || []).map(d => ({ ...d, numero_nc: numeroNotaCredito(d), endpoint_pdf: `/api/devoluciones/${d.id}/pdf` }))
+    });
+  } catch (err) {
+    console.error('❌ Error cargando devoluciones:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- REGISTRAR DEVOLUCIÓN --- */
+// Body: { items: [{ id, cantidad }], motivo, reponer_stock = true }
+// reponer_stock = false para mercadería que vuelve rota o vencida (igual se acredita al cliente)
+app.post('/api/pedidos/:id/devoluciones', soloPersonal, async (req, res) => {
+  try {
+    const { items: solicitados, motivo } = req.body;
+    const reponerStock = req.body.reponer_stock !== false;
+    if (!Array.isArray(solicitados) || solicitados.length === 0) return res.status(400).json({ error: 'Indicá qué productos se devuelven' });
+
+    const { data: pedido, error } = await supabase.from('pedidos').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!pedido) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (!ESTADOS_CON_DEUDA.includes(estadoDePedido(pedido))) {
+      return res.status(409).json({ error: `No se puede devolver un pedido en estado ${estadoDePedido(pedido)}` });
+    }
+
+    // Precios del pedido original, no los de hoy
+    const lineas = lineasDevolvibles(pedido, new Map());
+    const items = [];
+    for (const s of solicitados) {
+      const cantidad = Number(s.cantidad);
+      const linea = lineas.find(l => String(l.id) === String(s.id));
+      if (!linea) return res.status(400).json({ error: `El producto ${s.id} no está en el pedido` });
+      if (!Number.isInteger(cantidad) || cantidad <= 0) return res.status(400).json({ error: `Cantidad inválida para ${linea.nombre}` });
+      if (items.some(i => String(i.id) === String(linea.id))) return res.status(400).json({ error: `${linea.nombre} está repetido` });
+      items.push({
+        id: linea.id, nombre: linea.nombre, cantidad, precio_unitario: linea.precio_unitario,
+        subtotal: redondearPrecio(cantidad * linea.precio_unitario), costo_unitario: linea.costo_unitario
+      });
+    }
+    // Igual que cotizarItems: subtotales a centavos y el total como su suma
+    const total = redondearPrecio(items.reduce((sum, i) => sum + i.subtotal, 0));
+
+    const devolucion = {
+      id: crypto.randomUUID(),
+      pedido_id: String(pedido.id),
+      punto_venta: pedido.punto_venta || PUNTO_VENTA_MOSTRADOR,
+      items,
+      total,
+      motivo: motivo ? String(motivo).trim() : null,
+      reponer_stock: reponerStock,
+      usuario: req.usuario.username
+    };
+
+    // Validación contra lo ya devuelto, stock y nota de crédito en una sola transacción
+    const { data: resultado, error: errRpc } = await supabase.rpc('registrar_devolucion', { p_devolucion: devolucion });
+    if (errRpc) throw errRpc;
+    if (!resultado?.ok) {
+      if (resultado?.motivo === 'no_existe') return res.status(404).json({ error: 'Pedido no encontrado' });
+      if (resultado?.motivo === 'cantidad') {
+        return res.status(409).json({ error: 'Se intenta devolver más de lo vendido', excedidos: resultado.excedidos });
+      }
+      return res.status(409).json({ error: 'No se pudo reponer el stock', fallidos: resultado?.fallidos || [] });
+    }
+
+    const nota = { ...devolucion, numero: resultado.numero };
+    console.log(`↩️ Nota de crédito ${numeroNotaCredito(nota)} del Pedido #${pedido.id} por $${total} (${req.usuario.username})`);
+
+    // Cobranzas: la deuda del pedido baja; si ya estaba pagado, el sobrante se redistribuye
+    sincronizarDeudaPedido({ ...pedido, total_devuelto: resultado.total_devuelto }, undefined, `NC ${numeroNotaCredito(nota)}`);
+
+    res.json({
+      ok: true,
+      devolucion: nota,
+      numero_nc: numeroNotaCredito(nota),
+      total_devuelto: Number(resultado.total_devuelto),
+      saldo_pedido: montoAdeudado({ ...pedido, total_devuelto: resultado.total_devuelto }),
+      endpoint_pdf: `/api/devoluciones/${devolucion.id}/pdf`
+    });
+  } catch (err) {
+    console.error('❌ Error registrando devolución:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- PDF DE LA NOTA DE CRÉDITO --- */
+app.get('/api/devoluciones/:id/pdf', soloLogueado, async (req, res) => {
+  try {
+    const { data: devolucion, error } = await supabase.from('devoluciones').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!devolucion) return res.status(404).json({ error: 'Devolución no encontrada' });
+
+    const { data: pedido, error: errPed } = await supabase.from('pedidos').select('*').eq('id', devolucion.pedido_id).maybeSingle();
+    if (errPed) throw errPed;
+    if (await esAjenoAlCliente(req, pedido?.user_id)) {
+      return res.status(403).json({ error: 'No tenés permisos para ver esta nota de crédito' });
+    }
+
+    const pdfBuffer = await generarPDF(
+      { user: pedido?.user, nombre_negocio: pedido?.nombre_negocio, fecha: devolucion.fecha, items: devolucion.items },
+      {
+        titulo: 'NOTA DE CRÉDITO',
+        etiquetaNumero: 'Nota de crédito N°',
+        numero: numeroNotaCredito(devolucion),
+        referencia: `Pedido N°: ${numeroDePedido(pedido || { id: devolucion.pedido_id })}`,
+        pie: devolucion.motivo ? `Motivo: ${devolucion.motivo}` : null
+      }
+    );
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=nota_credito_${devolucion.punto_venta}-${devolucion.numero}.pdf`);
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error('❌ Error generando nota de crédito:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   REPORTES DE VENTAS (/api/reportes/*)
+   ========================================================= */
+// Todos aceptan ?desde=AAAA-MM-DD&hasta=AAAA-MM-DD (hasta inclusive; por defecto el mes en curso)
+// y los filtros ?user_id=, ?cliente= (nombre) y ?punto_venta=. Lo devuelto se descuenta del
+// pedido original y los cancelados no cuentan. La agregación está en reportes.js.
+const REPORTES_MAX_DIAS = 5 * 366;
+const FECHA_REPORTE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rango [desde, hasta) en la misma "hora local con Z" con la que se guardan los pedidos
+function rangoReporte(query) {
+  const hoy = new Date(Date.now() - 3 * 60 * 60 * 1000);
+  const desdeTxt = query.desde || `${hoy.toISOString().slice(0, 7)}-01`;
+  const hastaTxt = query.hasta || hoy.toISOString().slice(0, 10);
+  if (!FECHA_REPORTE.test(desdeTxt) || !FECHA_REPORTE.test(hastaTxt)) return { error: 'Fechas inválidas (formato AAAA-MM-DD)' };
+
+  const desde = new Date(`${desdeTxt}T00:00:00.000Z`);
+  const hasta = new Date(`${hastaTxt}T00:00:00.000Z`);
+  if (isNaN(desde) || isNaN(hasta)) return { error: 'Fechas inválidas (formato AAAA-MM-DD)' };
+  hasta.setUTCDate(hasta.getUTCDate() + 1);
+  if (hasta <= desde) return { error: '"hasta" tiene que ser igual o posterior a "desde"' };
+  if ((hasta - desde) / 86400000 > REPORTES_MAX_DIAS) return { error: `El rango máximo es de ${REPORTES_MAX_DIAS} días` };
+  return { desde, hasta };
+}
+
+// Pedidos del rango con sus devoluciones, ya convertidos en ventas netas
+async function cargarVentas({ desde, hasta }, filtros = {}) {
+  const pedidos = [];
+  const limit = 1000;
+  for (let from = 0; ; from += limit) {
+    let query = supabase.from('pedidos')
+      .select('id, user, user_id, nombre_negocio, fecha, items, total, total_devuelto, estado, punto_venta')
+      .gte('fecha', desde.toISOString()).lt('fecha', hasta.toISOString())
+      .order('fecha', { ascending: true }).range(from, from + limit - 1);
+    if (filtros.user_id) query = query.eq('user_id', filtros.user_id);
+    if (filtros.cliente) query = query.eq('user', filtros.cliente);
+    if (filtros.punto_venta) query = query.eq('punto_venta', filtros.punto_venta);
+    const { data, error } = await query;
+    if (error) throw error;
+    pedidos.push(...data);
+    if (data.length < limit) break;
+  }
+
+  const conDevolucion = pedidos.filter(p => Number(p.total_devuelto) > 0).map(p => String(p.id));
+  const devoluciones = [];
+  for (let i = 0; i < conDevolucion.length; i += 200) {
+    const { data, error } = await supabase.from('devoluciones').select('pedido_id, items').in('pedido_id', conDevolucion.slice(i, i + 200));
+    if (error) throw error;
+    devoluciones.push(...data);
+  }
+  return ventasNetas(pedidos, devoluciones);
+}
+
+async function productosParaReporte() {
+  const productos = [];
+  const limit = 1000;
+  for (let from = 0; ; from += limit) {
+    const { data, error } = await supabase.from('productos')
+      .select('id, nombre, categoria, precio, stock, activo')
+      .order('id', { ascending: true }).range(from, from + limit - 1);
+    if (error) throw error;
+    productos.push(...data);
+    if (data.length < limit) break;
+  }
+  return productos;
+}
+
+const filtrosReporte = q => ({ user_id: q.user_id || null, cliente: q.cliente || null, punto_venta: q.punto_venta || null });
+const limiteReporte = q => Math.min(Math.max(parseInt(q.limite, 10) || 0, 0), 1000) || null;
+const rangoTexto = ({ desde, hasta }) => ({ desde: desde.toISOString().slice(0, 10), hasta: new Date(hasta - 86400000).toISOString().slice(0, 10) });
+
+// Arma cada ruta de reporte: valida el rango, carga las ventas y responde con ETag
+function rutaReporte(armar) {
+  return async (req, res) => {
+    try {
+      const rango = rangoReporte(req.query);
+      if (rango.error) return res.status(400).json({ error: rango.error });
+      const ventas = await cargarVentas(rango, filtrosReporte(req.query));
+      const cuerpo = await armar(ventas, rango, req);
+      if (cuerpo.error) return res.status(400).json(cuerpo);
+      responderConEtag(req, res, { ...rangoTexto(rango), ...cuerpo });
+    } catch (err) {
+      console.error(`❌ Error en reporte ${req.path}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+/* --- VENTAS POR PERÍODO --- */
+// ?agrupar=dia|semana|mes|anio  ?comparar=true agrega el resumen del período anterior
+// ?umbral=10000 agrega cuántos pedidos quedaron hasta y por encima de ese monto
+app.get('/api/reportes/ventas', soloPersonal, rutaReporte(async (ventas, rango, req) => {
+  const agrupar = req.query.agrupar || 'dia';
+  if (!AGRUPACIONES_PERIODO.includes(agrupar)) return { error: `agrupar inválido (${AGRUPACIONES_PERIODO.join(', ')})` };
+
+  const cuerpo = { agrupar, resumen: resumenVentas(ventas), series: reportePeriodos(ventas, agrupar, rango) };
+  if (req.query.comparar === 'true') {
+    const anterior = periodoAnterior(rango.desde, rango.hasta);
+    cuerpo.anterior = { ...rangoTexto(anterior), resumen: resumenVentas(await cargarVentas(anterior, filtrosReporte(req.query))) };
+  }
+  if (req.query.umbral !== undefined) {
+    const umbral = Number(req.query.umbral);
+    if (!Number.isFinite(umbral)) return { error: 'umbral inválido' };
+    cuerpo.tramos = tramosPorMonto(ventas, umbral);
+  }
+  return cuerpo;
+}));
+
+/* --- VENTAS POR CLIENTE --- */
+app.get('/api/reportes/clientes', soloPersonal, rutaReporte(ventas => ({
+  resumen: resumenVentas(ventas),
+  clientes: reporteClientes(ventas)
+})));
+
+/* --- VENTAS POR PRODUCTO --- */
+// ?orden=neto|unidades|margen  ?limite=N  ?categoria=  ?sin_ventas=true agrega los activos que no se vendieron
+app.get('/api/reportes/productos', soloPersonal, rutaReporte(async (ventas, rango, req) => {
+  const orden = ORDENES_PRODUCTOS.includes(req.query.orden) ? req.query.orden : 'neto';
+  const productos = await productosParaReporte();
+  const reporte = reporteProductos(ventas, productos, { orden });
+  const categoria = req.query.categoria ? String(req.query.categoria).toLowerCase() : null;
+  const enCategoria = p => !categoria || String(p.categoria || '').toLowerCase() === categoria;
+  const items = reporte.items.filter(enCategoria);
+  const limite = limiteReporte(req.query);
+  return {
+    orden,
+    resumen: resumenVentas(ventas),
+    productos: limite ? items.slice(0, limite) : items,
+    ...(req.query.sin_ventas === 'true' ? { sin_ventas: reporte.sin_ventas.filter(enCategoria) } : {})
+  };
+}));
+
+/* --- VENTAS POR CATEGORÍA --- */
+app.get('/api/reportes/categorias', soloPersonal, rutaReporte(async ventas => ({
+  resumen: resumenVentas(ventas),
+  categorias: reporteCategorias(ventas, await productosParaReporte())
+})));
+
+/* --- VENTAS POR HORARIO --- */
+// ?agrupar=hora|dia_semana
+app.get('/api/reportes/horas', soloPersonal, rutaReporte((ventas, rango, req) => {
+  const agrupar = req.query.agrupar || 'hora';
+  if (!AGRUPACIONES_HORARIO.includes(agrupar)) return { error: `agrupar inválido (${AGRUPACIONES_HORARIO.join(', ')})` };
+  return { agrupar, tramos: reporteHorario(ventas, agrupar) };
+}));
+
+/* =========================================================
+   SALUD DE CLIENTES (/api/clientes/salud)
+   ========================================================= */
+// Métricas por user_id: frecuencia, ticket, días sin comprar contra su intervalo habitual y deuda
+// de cobranzas. Los pedidos sin user_id no entran. El cálculo está en salud.js.
+const SALUD_MESES_POR_DEFECTO = 12;
+
+// Deuda (clients_v2) y contacto (usuarios.perfil) de todos los clientes, por user_id
+async function datosClientesSalud() {
+  const clientes = new Map();
+  for (const c of await leerClientesPaginado('user_id, name, telefono, email, data', { inactivos: true })) {
+    if (!c.user_id) continue;
+    const items = c.data?.items || [];
+    clientes.set(String(c.user_id), {
+      user_id: c.user_id, nombre: c.name, telefono: c.telefono || null, email: c.email || null,
+      deuda: saldoPendiente(items), deuda_desde: deudaMasVieja(items)
+    });
+  }
+
+  // Los datos de contacto de la ficha mandan; si faltan, los del perfil de la cuenta
+  for (let from = 0; ; from += 1000) {
+    const { data: usuarios, error } = await supabase.from('usuarios').select('id, user_id, perfil')
+      .eq('rol', 'cliente').not('user_id', 'is', null).order('id', { ascending: true }).range(from, from + 999);
+    if (error) throw error;
+    for (const u of usuarios) {
+      const c = clientes.get(String(u.user_id));
+      if (!c) continue;
+      c.telefono = c.telefono || u.perfil?.telefono || null;
+      c.email = c.email || u.perfil?.email || null;
+    }
+    if (usuarios.length < 1000) break;
+  }
+  return [...clientes.values()];
+}
+
+/* --- SALUD DE CLIENTES Y LISTAS DE RIESGO --- */
+// ?meses=12 (historial que se mira, hasta 60)  ?estado=activo|nuevo|en_riesgo|perdido|sin_compras  ?limite=50 (por lista)
+app.get('/api/clientes/salud', soloPersonal, async (req, res) => {
+  try {
+    const meses = req.query.meses === undefined ? SALUD_MESES_POR_DEFECTO : parseInt(req.query.meses, 10);
+    if (!(meses >= 1 && meses <= 60)) return res.status(400).json({ error: 'meses inválido (de 1 a 60)' });
+    if (req.query.estado && !ESTADOS_SALUD.includes(req.query.estado)) {
+      return res.status(400).json({ error: `estado inválido (${ESTADOS_SALUD.join(', ')})` });
+    }
+
+    // Mismo reloj que las fechas de los pedidos (hora local con Z)
+    const ahora = new Date(Date.now() - 3 * 60 * 60 * 1000);
+    const desde = new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth() - meses, ahora.getUTCDate()));
+    const [ventas, clientes] = await Promise.all([cargarVentas({ desde, hasta: ahora }), datosClientesSalud()]);
+
+    const filas = saludClientes(ventas, clientes, { ahora });
+    responderConEtag(req, res, {
+      desde: desde.toISOString().slice(0, 10),
+      hasta: ahora.toISOString().slice(0, 10),
+      resumen: resumenSalud(filas),
+      listas: listasDeRiesgo(filas, { limite: limiteReporte(req.query) || 50 }),
+      clientes: req.query.estado ? filas.filter(f => f.estado === req.query.estado) : filas
+    });
+  } catch (err) {
+    console.error('❌ Error calculando salud de clientes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================================================
+   CLIENTES: FICHA Y NEGOCIOS (/api/clientes)
+   ========================================================= */
+// La ficha vive en clients_v2 (junto con el libro de deudas de cobranzas) y el user_id es el id
+// del cliente en todo el sistema. Un cliente puede tener varios negocios (tabla negocios).
+// Van después de /api/clientes/salud para que "salud" no se tome como un user_id.
+const COLUMNAS_FICHA = 'user_id, name, cuit, telefono, email, direccion, lista_precios, limite_credito, notas, alias, activo';
+const COLUMNAS_NEGOCIO = 'id, user_id, nombre, direccion, localidad, telefono, activo';
+
+// Lee clients_v2 de 1000 en 1000 (Supabase corta cada consulta en 1000 filas)
+async function leerClientesPaginado(columnas, { inactivos = false } = {}) {
+  let clientes = [];
+  let from = 0;
+  const limit = 1000;
+  while (true) {
+    let query = supabase.from('clients_v2').select(columnas)
+      .order('name', { ascending: true }).order('id', { ascending: true }).range(from, from + limit - 1);
+    if (!inactivos) query = query.neq('activo', false);
+    const { data, error } = await query;
+    if (error) throw error;
+    clientes = clientes.concat(data || []);
+    if (!data || data.length < limit) return clientes;
+    from += limit;
+  }
+}
+
+// Lo que cuenta contra el límite de crédito: la deuda de cobranzas + los pedidos abiertos que
+// todavía no la generaron (Armando) + las peticiones sin aceptar. items: el libro de deudas si ya
+// está leído; excluirPeticion: la que se está aceptando (su monto es el que se controla).
+async function saldoComprometido(userId, items = null, { excluirPeticion = null } = {}) {
+  if (!items) {
+    const { data: cuenta, error } = await supabase.from('clients_v2').select('data').eq('user_id', userId).maybeSingle();
+    if (error) throw error;
+    items = cuenta?.data?.items || [];
+  }
+  const { data: abiertos, error } = await supabase.from('pedidos').select('total, total_devuelto')
+    .eq('user_id', userId).in('estado', ESTADOS_SIN_DEUDA);
+  if (error) throw error;
+  let query = supabase.from('Peticiones').select('total').eq('user_id', userId).neq('estado', 'Aceptada');
+  if (excluirPeticion !== null) query = query.neq('id', excluirPeticion);
+  const { data: pendientes, error: errPeticiones } = await query;
+  if (errPeticiones) throw errPeticiones;
+
+  const pedidosAbiertos = (abiertos || []).reduce((s, p) => s + montoAdeudado(p), 0)
+    + (pendientes || []).reduce((s, p) => s + (Number(p.total) || 0), 0);
+  return { saldo: saldoPendiente(items), pedidos_abiertos: Math.round(pedidosAbiertos * 100) / 100 };
+}
+
+// El monto nuevo + saldoComprometido no puede pasar limite_credito. Devuelve null si entra, o { error, disponible }.
+async function controlarCredito(ficha, monto, opciones = {}) {
+  if (!ficha || ficha.limite_credito === null || ficha.limite_credito === undefined) return null;
+
+  const { saldo, pedidos_abiertos } = await saldoComprometido(ficha.user_id, null, opciones);
+  const disponible = creditoDisponible(ficha.limite_credito, saldo + pedidos_abiertos);
+  if (monto <= disponible) return null;
+  return {
+    error: `El pedido ($${monto.toLocaleString('es-AR')}) supera el crédito disponible de ${ficha.name} ($${Math.max(disponible, 0).toLocaleString('es-AR')})`,
+    disponible
+  };
+}
+
+async function fichaCliente(userId) {
+  const { data, error } = await supabase.from('clients_v2').select(COLUMNAS_FICHA).eq('user_id', userId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Map user_id → [negocios activos]
+async function negociosPorCliente(userIds) {
+  const negocios = new Map();
+  for (let i = 0; i < userIds.length; i += 200) {
+    const { data, error } = await supabase.from('negocios').select(COLUMNAS_NEGOCIO)
+      .in('user_id', userIds.slice(i, i + 200)).eq('activo', true).order('nombre', { ascending: true });
+    if (error) throw error;
+    data.forEach(n => negocios.set(String(n.user_id), [...(negocios.get(String(n.user_id)) || []), n]));
+  }
+  return negocios;
+}
+
+// Map user_id → nombre de la ficha
+async function nombresDeClientes(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const nombres = new Map();
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await supabase.from('clients_v2').select('user_id, name').in('user_id', ids.slice(i, i + 200));
+    if (error) throw error;
+    data.forEach(c => nombres.set(String(c.user_id), c.name));
+  }
+  return nombres;
+}
+
+// Resuelve a qué cliente y negocio va un pedido o petición.
+// - negocioId: tiene que existir, estar activo y ser del cliente. Sin userId (y con inferirCliente) el
+//   cliente sale del negocio.
+// - sin negocioId: si el nombre coincide con un negocio del cliente se usa ese; si no, queda solo el texto.
+// Devuelve { userId, negocioId, nombreNegocio, ficha } o { error }
+async function resolverClienteYNegocio({ userId = null, negocioId = null, nombreNegocio = null, inferirCliente = true }) {
+  let negocio = null;
+  if (negocioId !== null && negocioId !== '') {
+    const { data, error } = await supabase.from('negocios').select(COLUMNAS_NEGOCIO).eq('id', negocioId).maybeSingle();
+    if (error) throw error;
+    if (!data || !data.activo) return { error: `Negocio ${negocioId} inexistente o dado de baja` };
+    if (!userId && inferirCliente) userId = data.user_id;
+    if (String(data.user_id) !== String(userId)) return { error: 'El negocio no pertenece a ese cliente' };
+    negocio = data;
+  }
+
+  const ficha = userId ? await fichaCliente(userId) : null;
+  if (!negocio && userId && normalizarNombre(nombreNegocio)) {
+    const { data, error } = await supabase.from('negocios').select(COLUMNAS_NEGOCIO).eq('user_id', userId).eq('activo', true);
+    if (error) throw error;
+    negocio = data.find(n => normalizarNombre(n.nombre) === normalizarNombre(nombreNegocio)) || null;
+  }
+
+  return {
+    userId: userId || null,
+    negocioId: negocio ? negocio.id : null,
+    nombreNegocio: negocio ? negocio.nombre : (nombreNegocio ? String(nombreNegocio).trim() : null),
+    ficha
+  };
+}
+
+/* --- LISTAR CLIENTES --- */
+// ?q= (nombre, alias, CUIT o teléfono)  ?inactivos=true incluye los dados de baja
+app.get('/api/clientes', soloPersonal, async (req, res) => {
+  try {
+    const data = await leerClientesPaginado(COLUMNAS_FICHA, { inactivos: req.query.inactivos === 'true' });
+
+    const q = normalizarNombre(req.query.q);
+    const filtrados = !q ? data : data.filter(c =>
+      [c.name, c.cuit, c.telefono, ...(c.alias || [])].some(v => (normalizarNombre(v) || '').includes(q)));
+    const negocios = await negociosPorCliente(filtrados.map(c => c.user_id).filter(Boolean));
+    res.json(filtrados.map(c => ({ ...c, negocios: negocios.get(String(c.user_id)) || [] })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- FICHA DE UN CLIENTE (CON SALDO Y CRÉDITO DISPONIBLE) --- */
+app.get('/api/clientes/:userId', soloPersonal, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('clients_v2').select(`${COLUMNAS_FICHA}, data`).eq('user_id', req.params.userId).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Cliente no encontrado' });
+
+    const { data: negocios, error: negErr } = await supabase.from('negocios').select(COLUMNAS_NEGOCIO)
+      .eq('user_id', data.user_id).order('activo', { ascending: false }).order('nombre', { ascending: true });
+    if (negErr) throw negErr;
+
+    const { data: cuenta, ...ficha } = data;
+    const { saldo, pedidos_abiertos } = await saldoComprometido(ficha.user_id, cuenta?.items || []);
+    res.json({
+      ...ficha, negocios, saldo, pedidos_abiertos,
+      credito_disponible: creditoDisponible(ficha.limite_credito, saldo + pedidos_abiertos)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- ALTA DE CLIENTE --- */
+// Body: CAMPOS_CLIENTE (name obligatorio) + negocios?: [{ nombre, direccion, localidad, telefono }]
+app.post('/api/clientes', soloAdmin, async (req, res) => {
+  try {
+    const { campos, error: errValidacion } = validarCliente(req.body);
+    if (errValidacion) return res.status(400).json({ error: errValidacion });
+    if (campos.lista_precios && !(await resolverListaPrecios({ nombre: campos.lista_precios }))) {
+      return res.status(400).json({ error: `No existe la lista ${campos.lista_precios}` });
+    }
+    const negociosBody = Array.isArray(req.body.negocios) ? req.body.negocios : [];
+    const negocios = [];
+    for (const n of negociosBody) {
+      const { campos: negocio, error } = validarNegocio(n);
+      if (error) return res.status(400).json({ error });
+      negocios.push(negocio);
+    }
+
+    if (campos.cuit) {
+      const { data: repetido } = await supabase.from('clients_v2').select('user_id, name').eq('cuit', campos.cuit).maybeSingle();
+      if (repetido) return res.status(409).json({ error: `El CUIT ${campos.cuit} ya es de ${repetido.name}`, user_id: repetido.user_id });
+    }
+
+    const userId = crypto.randomUUID();
+    const { data, error } = await supabase.from('clients_v2')
+      .insert([{ ...campos, user_id: userId, data: { items: [], history: [] } }])
+      .select(COLUMNAS_FICHA).single();
+    if (error) throw error;
+
+    let creados = [];
+    if (negocios.length > 0) {
+      const { data: filas, error: negErr } = await supabase.from('negocios')
+        .insert(negocios.map(n => ({ ...n, user_id: userId }))).select(COLUMNAS_NEGOCIO);
+      if (negErr) throw negErr;
+      creados = filas;
+    }
+
+    console.log(`👤 Cliente ${data.name} (${userId}) creado por ${req.usuario.username}`);
+    res.json({ ok: true, cliente: { ...data, negocios: creados } });
+  } catch (err) {
+    console.error('❌ Error creando cliente:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- EDITAR CLIENTE --- */
+// Body: cualquier subconjunto de CAMPOS_CLIENTE, y activo para reactivar
+app.put('/api/clientes/:userId', soloAdmin, async (req, res) => {
+  try {
+    const { campos, error: errValidacion } = validarCliente(req.body, { parcial: true });
+    if (errValidacion) return res.status(400).json({ error: errValidacion });
+    if (req.body.activo !== undefined) campos.activo = !!req.body.activo;
+    if (Object.keys(campos).length === 0) return res.status(400).json({ error: 'No hay cambios' });
+    if (campos.lista_precios && !(await resolverListaPrecios({ nombre: campos.lista_precios }))) {
+      return res.status(400).json({ error: `No existe la lista ${campos.lista_precios}` });
+    }
+    if (campos.cuit) {
+      const { data: repetido } = await supabase.from('clients_v2').select('user_id, name')
+        .eq('cuit', campos.cuit).neq('user_id', req.params.userId).maybeSingle();
+      if (repetido) return res.status(409).json({ error: `El CUIT ${campos.cuit} ya es de ${repetido.name}`, user_id: repetido.user_id });
+    }
+
+    const { data, error } = await supabase.from('clients_v2').update(campos)
+      .eq('user_id', req.params.userId).select(COLUMNAS_FICHA).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Cliente no encontrado' });
+    res.json({ ok: true, cliente: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- BAJA DE CLIENTE (LÓGICA) --- */
+// No se borra: tiene pedidos y libro de deudas. Sale de los listados y del carrito.
+app.delete('/api/clientes/:userId', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('clients_v2').update({ activo: false })
+      .eq('user_id', req.params.userId).select('user_id, name').maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Cliente no encontrado' });
+    console.log(`🚫 Cliente ${data.name} dado de baja por ${req.usuario.username}`);
+    res.json({ ok: true, mensaje: 'Cliente dado de baja' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- NEGOCIOS DE UN CLIENTE --- */
+app.post('/api/clientes/:userId/negocios', soloAdmin, async (req, res) => {
+  try {
+    const { campos, error: errValidacion } = validarNegocio(req.body);
+    if (errValidacion) return res.status(400).json({ error: errValidacion });
+    if (!(await fichaCliente(req.params.userId))) return res.status(404).json({ error: 'Cliente no encontrado' });
+
+    const { data, error } = await supabase.from('negocios')
+      .insert([{ ...campos, user_id: req.params.userId }]).select(COLUMNAS_NEGOCIO).single();
+    if (error) throw error;
+    res.json({ ok: true, negocio: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: cualquier subconjunto de CAMPOS_NEGOCIO, y activo para reactivar
+app.put('/api/clientes/:userId/negocios/:id', soloAdmin, async (req, res) => {
+  try {
+    const { campos, error: errValidacion } = validarNegocio(req.body, { parcial: true });
+    if (errValidacion) return res.status(400).json({ error: errValidacion });
+    if (req.body.activo !== undefined) campos.activo = !!req.body.activo;
+    if (Object.keys(campos).length === 0) return res.status(400).json({ error: 'No hay cambios' });
+
+    const { data, error } = await supabase.from('negocios').update(campos)
+      .eq('id', req.params.id).eq('user_id', req.params.userId).select(COLUMNAS_NEGOCIO).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Negocio no encontrado' });
+    res.json({ ok: true, negocio: data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Baja lógica: los pedidos viejos siguen apuntando al negocio
+app.delete('/api/clientes/:userId/negocios/:id', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('negocios').update({ activo: false })
+      .eq('id', req.params.id).eq('user_id', req.params.userId).select('id').maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Negocio no encontrado' });
+    res.json({ ok: true, mensaje: 'Negocio dado de baja' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* --- VINCULAR PEDIDOS VIEJOS POR NOMBRE --- */
+// Vuelve a correr vincular_pedidos_clientes (sql/018), p. ej. después de cargar alias
+app.post('/api/clientes/vincular-pedidos', soloAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase.rpc('vincular_pedidos_clientes');
+    if (error) throw error;
+    console.log(`🔗 Pedidos vinculados a clientes por ${req.usuario.username}:`, data);
+    res.json({ ok: true, ...data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ⚠️ PUERTO CONFIGURADO PARA RENDER
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server escuchando en http://localhost:${PORT}`);
@@ -0,0 +1,15 @@
+-- Cuentas del sistema (reemplaza los usuarios guardados en localStorage)
+-- rol: 'admin' | 'vendedor' | 'cliente'
+-- user_id: vincula la cuenta con su perfil de cobranzas en clients_v2.user_id
+
+create table if not exists usuarios (
+  id bigint generated always as identity primary key,
+  username text not null unique,
+  password_hash text not null,
+  rol text not null default 'cliente' check (rol in ('admin', 'vendedor', 'cliente')),
+  user_id text,
+  activo boolean not null default true,
+  creado timestamptz not null default now()
+);
+
+create index if not exists usuarios_user_id_idx on usuarios (user_id);
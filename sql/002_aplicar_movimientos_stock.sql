@@ -0,0 +1,77 @@
+-- Aplica varios cambios de stock en UNA transacción.
+-- p_items: [{ "id": 12, "cantidad": -3 }, ...]  (cantidad = cambio de stock, negativo resta)
+-- Bloquea las filas de productos (en orden de id para evitar deadlocks), así dos ventas
+-- simultáneas se serializan. Si algún producto falla no se toca ninguno.
+-- Devuelve { ok, productos: [...aplicados], fallidos: [{ id, nombre, stock, solicitado, motivo }] }
+
+create or replace function aplicar_movimientos_stock(
+  p_items jsonb,
+  p_tipo text,
+  p_referencia text,
+  p_razon text default null,
+  p_permitir_negativo boolean default true
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_item record;
+  v_prod record;
+  v_nuevo numeric;
+  v_fallidos jsonb := '[]'::jsonb;
+  v_aplicados jsonb := '[]'::jsonb;
+begin
+  -- 1. Agrupar por producto, bloquear y validar
+  for v_item in
+    select (e->>'id')::bigint as id, sum((e->>'cantidad')::numeric) as cambio
+    from jsonb_array_elements(p_items) e
+    group by 1
+    order by 1
+  loop
+    if v_item.cambio = 0 then continue; end if;
+
+    select id, nombre, coalesce(stock, 0) as stock into v_prod
+    from productos where id = v_item.id
+    for update;
+
+    if not found then
+      v_fallidos := v_fallidos || jsonb_build_object('id', v_item.id, 'motivo', 'no_encontrado');
+      continue;
+    end if;
+
+    v_nuevo := v_prod.stock + v_item.cambio;
+
+    if not p_permitir_negativo and v_item.cambio < 0 and v_nuevo < 0 then
+      v_fallidos := v_fallidos || jsonb_build_object(
+        'id', v_prod.id, 'nombre', v_prod.nombre, 'stock', v_prod.stock,
+        'solicitado', -v_item.cambio, 'motivo', 'sin_stock'
+      );
+      continue;
+    end if;
+
+    v_aplicados := v_aplicados || jsonb_build_object(
+      'id', v_prod.id, 'nombre', v_prod.nombre, 'cambio', v_item.cambio,
+      'stock_anterior', v_prod.stock, 'stock_nuevo', v_nuevo
+    );
+  end loop;
+
+  if jsonb_array_length(v_fallidos) > 0 then
+    return jsonb_build_object('ok', false, 'productos', '[]'::jsonb, 'fallidos', v_fallidos);
+  end if;
+
+  -- 2. Aplicar todo (stock, historial y snapshot del monitor)
+  for v_item in
+    select * from jsonb_to_recordset(v_aplicados)
+      as x(id bigint, nombre text, cambio numeric, stock_anterior numeric, stock_nuevo numeric)
+  loop
+    update productos set stock = v_item.stock_nuevo where id = v_item.id;
+
+    insert into historial_stock (producto_id, producto_nombre, cantidad_cambio, stock_anterior, stock_nuevo, tipo_movimiento, referencia_id, razon, fecha)
+    values (v_item.id, v_item.nombre, v_item.cambio, v_item.stock_anterior, v_item.stock_nuevo, p_tipo, p_referencia, p_razon, now());
+
+    insert into monitor_snapshot (id, stock) values (v_item.id, v_item.stock_nuevo)
+    on conflict (id) do update set stock = excluded.stock;
+  end loop;
+
+  return jsonb_build_object('ok', true, 'productos', v_aplicados, 'fallidos', '[]'::jsonb);
+end;
+$$;
@@ -0,0 +1,19 @@
+-- Máquina de estados de pedidos:
+-- Petición → Armando → Preparado → Entregado → Cobrado  (o Cancelado)
+-- Cada transición queda registrada con fecha y usuario.
+
+create table if not exists pedidos_estados (
+  id bigint generated always as identity primary key,
+  pedido_id text not null,
+  estado_anterior text,
+  estado_nuevo text not null,
+  actor text,
+  nota text,
+  fecha timestamptz not null default now()
+);
+
+create index if not exists pedidos_estados_pedido_idx on pedidos_estados (pedido_id, fecha);
+
+-- Los pedidos viejos sin estado se mostraban como preparados
+update pedidos set estado = 'Preparado' where estado is null;
+alter table pedidos alter column estado set default 'Armando';
@@ -0,0 +1,40 @@
+-- Proveedores, órdenes de compra y recepciones (entradas de stock tipo COMPRA)
+
+create table if not exists proveedores (
+  id bigint generated always as identity primary key,
+  nombre text not null,
+  cuit text,
+  telefono text,
+  email text,
+  notas text,
+  activo boolean not null default true,
+  creado timestamptz not null default now()
+);
+
+alter table productos add column if not exists proveedor_id bigint references proveedores (id);
+
+-- estado: 'Pendiente' | 'Parcial' | 'Recibida' | 'Cancelada'
+-- items: [{ id, nombre, cantidad, costo_unitario, recibido }]
+create table if not exists ordenes_compra (
+  id bigint generated always as identity primary key,
+  proveedor_id bigint not null references proveedores (id),
+  estado text not null default 'Pendiente',
+  items jsonb not null default '[]'::jsonb,
+  notas text,
+  creado_por text,
+  fecha timestamptz not null default now()
+);
+
+create index if not exists ordenes_compra_proveedor_idx on ordenes_compra (proveedor_id, fecha desc);
+
+-- items: [{ id, nombre, cantidad }] recibidos en esa entrega
+create table if not exists recepciones_compra (
+  id bigint generated always as identity primary key,
+  orden_id bigint not null references ordenes_compra (id),
+  items jsonb not null default '[]'::jsonb,
+  recibido_por text,
+  notas text,
+  fecha timestamptz not null default now()
+);
+
+create index if not exists recepciones_compra_orden_idx on recepciones_compra (orden_id);
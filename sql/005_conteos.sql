@@ -0,0 +1,25 @@
+-- Conteos físicos de inventario (por categoría o catálogo completo).
+-- Al confirmar, las diferencias se aplican como movimientos CONTEO (ver aplicar_movimientos_stock).
+
+-- estado: 'Abierto' | 'Confirmado' | 'Anulado'
+create table if not exists conteos (
+  id bigint generated always as identity primary key,
+  nombre text,
+  categoria text,            -- null = todo el catálogo
+  estado text not null default 'Abierto',
+  creado_por text,
+  fecha timestamptz not null default now(),
+  confirmado_por text,
+  fecha_confirmado timestamptz
+);
+
+create table if not exists conteos_items (
+  conteo_id bigint not null references conteos (id) on delete cascade,
+  producto_id bigint not null,
+  producto_nombre text,
+  stock_inicial numeric,     -- stock del sistema al abrir el conteo (referencia)
+  contado numeric,           -- null = todavía no se contó
+  contado_por text,
+  fecha_contado timestamptz,
+  primary key (conteo_id, producto_id)
+);
@@ -0,0 +1,125 @@
+-- Monitor de stock por eventos: un trigger sobre productos registra UNA vez cada cambio de
+-- stock hecho por fuera del sistema (editor de Supabase, scripts) y mantiene monitor_snapshot.
+-- Los movimientos del sistema pasan por aplicar_movimientos_stock, que marca la transacción
+-- con funaz.origen = 'app' y así el trigger no los duplica.
+
+create or replace function aplicar_movimientos_stock(
+  p_items jsonb,
+  p_tipo text,
+  p_referencia text,
+  p_razon text default null,
+  p_permitir_negativo boolean default true
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_item record;
+  v_prod record;
+  v_nuevo numeric;
+  v_fallidos jsonb := '[]'::jsonb;
+  v_aplicados jsonb := '[]'::jsonb;
+begin
+  -- 1. Agrupar por producto, bloquear y validar
+  for v_item in
+    select (e->>'id')::bigint as id, sum((e->>'cantidad')::numeric) as cambio
+    from jsonb_array_elements(p_items) e
+    group by 1
+    order by 1
+  loop
+    if v_item.cambio = 0 then continue; end if;
+
+    select id, nombre, coalesce(stock, 0) as stock into v_prod
+    from productos where id = v_item.id
+    for update;
+
+    if not found then
+      v_fallidos := v_fallidos || jsonb_build_object('id', v_item.id, 'motivo', 'no_encontrado');
+      continue;
+    end if;
+
+    v_nuevo := v_prod.stock + v_item.cambio;
+
+    if not p_permitir_negativo and v_item.cambio < 0 and v_nuevo < 0 then
+      v_fallidos := v_fallidos || jsonb_build_object(
+        'id', v_prod.id, 'nombre', v_prod.nombre, 'stock', v_prod.stock,
+        'solicitado', -v_item.cambio, 'motivo', 'sin_stock'
+      );
+      continue;
+    end if;
+
+    v_aplicados := v_aplicados || jsonb_build_object(
+      'id', v_prod.id, 'nombre', v_prod.nombre, 'cambio', v_item.cambio,
+      'stock_anterior', v_prod.stock, 'stock_nuevo', v_nuevo
+    );
+  end loop;
+
+  if jsonb_array_length(v_fallidos) > 0 then
+    return jsonb_build_object('ok', false, 'productos', '[]'::jsonb, 'fallidos', v_fallidos);
+  end if;
+
+  -- 2. Aplicar todo (stock, historial y snapshot del monitor)
+  -- Marca la transacción para que el trigger del monitor no lo registre como 'ajuste db'
+  perform set_config('funaz.origen', 'app', true);
+
+  for v_item in
+    select * from jsonb_to_recordset(v_aplicados)
+      as x(id bigint, nombre text, cambio numeric, stock_anterior numeric, stock_nuevo numeric)
+  loop
+    update productos set stock = v_item.stock_nuevo where id = v_item.id;
+
+    insert into historial_stock (producto_id, producto_nombre, cantidad_cambio, stock_anterior, stock_nuevo, tipo_movimiento, referencia_id, razon, fecha)
+    values (v_item.id, v_item.nombre, v_item.cambio, v_item.stock_anterior, v_item.stock_nuevo, p_tipo, p_referencia, p_razon, now());
+
+    insert into monitor_snapshot (id, stock) values (v_item.id, v_item.stock_nuevo)
+    on conflict (id) do update set stock = excluded.stock;
+  end loop;
+
+  return jsonb_build_object('ok', true, 'productos', v_aplicados, 'fallidos', '[]'::jsonb);
+end;
+$$;
+
+
+create or replace function monitor_stock_cambio()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_foto numeric;
+  v_stock numeric := coalesce(new.stock, 0);
+begin
+  if current_setting('funaz.origen', true) = 'app' then
+    return new;
+  end if;
+
+  select stock into v_foto from monitor_snapshot where id = new.id;
+
+  -- Producto nuevo (sin foto): solo se empieza a seguir
+  if found and v_foto is distinct from v_stock then
+    insert into historial_stock (producto_id, producto_nombre, cantidad_cambio, stock_anterior, stock_nuevo, tipo_movimiento, referencia_id, razon, fecha)
+    values (new.id, new.nombre, v_stock - coalesce(v_foto, 0), v_foto, v_stock, 'ajuste db', 'MONITOR', 'Cambio de stock hecho por fuera del sistema', now());
+  end if;
+
+  insert into monitor_snapshot (id, stock) values (new.id, v_stock)
+  on conflict (id) do update set stock = excluded.stock;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists productos_monitor_stock on productos;
+create trigger productos_monitor_stock
+  after insert or update of stock on productos
+  for each row execute function monitor_stock_cambio();
+
+-- Reconciliador de respaldo: devuelve solo los productos cuyo stock no coincide con la foto
+-- (o que no tienen foto), para no traer todo el catálogo a Node en cada pasada.
+create or replace function diferencias_monitor_stock()
+returns table (id bigint, nombre text, stock_real numeric, stock_foto numeric)
+language sql
+stable
+as $$
+  select p.id, p.nombre, coalesce(p.stock, 0), s.stock
+  from productos p
+  left join monitor_snapshot s on s.id = p.id
+  where s.id is null or s.stock is distinct from coalesce(p.stock, 0);
+$$;
@@ -0,0 +1,25 @@
+-- Listas de precios: precio de venta = productos.precio × multiplicador.
+-- reglas: [{ "categoria": "Jugos", "multiplicador": 1.15 }, { "producto_id": 12, "multiplicador": 1.05 }]
+-- Prioridad: producto > categoría > multiplicador de la lista.
+
+create table if not exists listas_precios (
+  nombre text primary key,
+  descripcion text,
+  multiplicador numeric not null default 1,
+  reglas jsonb not null default '[]'::jsonb,
+  activa boolean not null default true
+);
+
+-- Los mismos recargos que estaban fijos en el código (1.10 × 1.02 y el 3% del cliente regular)
+insert into listas_precios (nombre, descripcion, multiplicador) values
+  ('minorista', 'Precio público (+10% +2%)', 1.122),
+  ('regular', 'Cliente regular (público -3%)', 1.08834),
+  ('mayorista', 'Mayorista (+10%)', 1.10)
+on conflict (nombre) do nothing;
+
+-- Lista asignada a cada cliente (null = lista por defecto)
+alter table clients_v2 add column if not exists lista_precios text references listas_precios (nombre);
+
+-- Con qué lista se cotizó cada pedido/petición
+alter table pedidos add column if not exists lista_precios text;
+alter table "Peticiones" add column if not exists lista_precios text;
@@ -0,0 +1,55 @@
+-- Historial de cambios de precio base (productos.precio) y actualización masiva atómica.
+
+create table if not exists historial_precios (
+  id bigint generated always as identity primary key,
+  producto_id bigint not null,
+  producto_nombre text,
+  precio_anterior numeric,
+  precio_nuevo numeric,
+  lote text,                 -- agrupa los cambios de una misma actualización masiva
+  usuario text,
+  motivo text,
+  fecha timestamptz not null default now()
+);
+
+create index if not exists historial_precios_producto_idx on historial_precios (producto_id, fecha desc);
+create index if not exists historial_precios_lote_idx on historial_precios (lote);
+
+-- p_cambios: [{ "id": 12, "precio_anterior": 100, "precio_nuevo": 110 }, ...]
+-- Solo actualiza los productos cuyo precio sigue siendo precio_anterior (nadie lo cambió
+-- desde la vista previa). Devuelve { aplicados, omitidos: [ids] }.
+create or replace function actualizar_precios_masivo(
+  p_cambios jsonb,
+  p_lote text,
+  p_usuario text,
+  p_motivo text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_item record;
+  v_nombre text;
+  v_aplicados int := 0;
+  v_omitidos jsonb := '[]'::jsonb;
+begin
+  for v_item in
+    select * from jsonb_to_recordset(p_cambios) as x(id bigint, precio_anterior numeric, precio_nuevo numeric)
+    order by id
+  loop
+    update productos set precio = v_item.precio_nuevo
+    where id = v_item.id and precio = v_item.precio_anterior
+    returning nombre into v_nombre;
+
+    if not found then
+      v_omitidos := v_omitidos || to_jsonb(v_item.id);
+      continue;
+    end if;
+
+    insert into historial_precios (producto_id, producto_nombre, precio_anterior, precio_nuevo, lote, usuario, motivo, fecha)
+    values (v_item.id, v_nombre, v_item.precio_anterior, v_item.precio_nuevo, p_lote, p_usuario, p_motivo, now());
+    v_aplicados := v_aplicados + 1;
+  end loop;
+
+  return jsonb_build_object('aplicados', v_aplicados, 'omitidos', v_omitidos);
+end;
+$$;
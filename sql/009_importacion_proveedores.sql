@@ -0,0 +1,51 @@
+-- Importación de listas de proveedores: costo por producto y actualización masiva de precio y/o costo.
+
+alter table productos add column if not exists costo numeric;
+alter table historial_precios add column if not exists costo_anterior numeric;
+alter table historial_precios add column if not exists costo_nuevo numeric;
+
+-- Reemplaza la versión de sql/008. Cada cambio puede traer precio_nuevo, costo_nuevo o ambos:
+-- [{ "id": 12, "precio_anterior": 100, "precio_nuevo": 110, "costo_nuevo": 80 }, ...]
+-- Si trae precio_nuevo y el precio ya no es precio_anterior, se omite (alguien lo cambió).
+create or replace function actualizar_precios_masivo(
+  p_cambios jsonb,
+  p_lote text,
+  p_usuario text,
+  p_motivo text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_item record;
+  v_prod record;
+  v_aplicados int := 0;
+  v_omitidos jsonb := '[]'::jsonb;
+begin
+  for v_item in
+    select * from jsonb_to_recordset(p_cambios)
+      as x(id bigint, precio_anterior numeric, precio_nuevo numeric, costo_nuevo numeric)
+    order by id
+  loop
+    select id, nombre, precio, costo into v_prod from productos where id = v_item.id for update;
+
+    if not found
+       or (v_item.precio_nuevo is not null and v_prod.precio is distinct from v_item.precio_anterior)
+       or (v_item.precio_nuevo is null and v_item.costo_nuevo is null) then
+      v_omitidos := v_omitidos || to_jsonb(v_item.id);
+      continue;
+    end if;
+
+    update productos
+    set precio = coalesce(v_item.precio_nuevo, precio),
+        costo = coalesce(v_item.costo_nuevo, costo)
+    where id = v_item.id;
+
+    insert into historial_precios (producto_id, producto_nombre, precio_anterior, precio_nuevo, costo_anterior, costo_nuevo, lote, usuario, motivo, fecha)
+    values (v_item.id, v_prod.nombre, v_prod.precio, coalesce(v_item.precio_nuevo, v_prod.precio),
+            v_prod.costo, coalesce(v_item.costo_nuevo, v_prod.costo), p_lote, p_usuario, p_motivo, now());
+    v_aplicados := v_aplicados + 1;
+  end loop;
+
+  return jsonb_build_object('aplicados', v_aplicados, 'omitidos', v_omitidos);
+end;
+$$;
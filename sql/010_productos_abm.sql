@@ -0,0 +1,17 @@
+-- ABM de productos: baja lógica (discontinuado) y auditoría de cada alta, edición, baja e imagen.
+
+alter table productos add column if not exists activo boolean not null default true;
+alter table productos add column if not exists discontinuado_en timestamptz;
+
+-- accion: 'crear' | 'editar' | 'desactivar' | 'reactivar' | 'imagen'
+-- cambios: { campo: { antes, despues } } (en 'crear', los valores iniciales)
+create table if not exists auditoria_productos (
+  id bigint generated always as identity primary key,
+  producto_id bigint not null,
+  accion text not null,
+  cambios jsonb not null default '{}'::jsonb,
+  usuario text,
+  fecha timestamptz not null default now()
+);
+
+create index if not exists auditoria_productos_producto_idx on auditoria_productos (producto_id, fecha desc);
@@ -0,0 +1,65 @@
+-- Catálogo paginado: búsqueda sin acentos por nombre/sku, filtros y orden en la base.
+
+create extension if not exists unaccent;
+create extension if not exists pg_trgm;
+
+-- unaccent() no es immutable; este envoltorio sí, para poder indexarlo
+create or replace function f_unaccent(text) returns text
+language sql immutable parallel safe strict
+as $$ select public.unaccent('public.unaccent'::regdictionary, $1) $$;
+
+create index if not exists productos_busqueda_idx on productos
+  using gin (f_unaccent(lower(nombre || ' ' || coalesce(sku, ''))) gin_trgm_ops);
+
+-- Cada palabra de p_q tiene que aparecer (en cualquier orden) en nombre o sku.
+-- p_orden: 'nombre' | 'precioAsc' | 'precioDesc' | 'stock' | 'nuevos'
+-- Devuelve { total, items: [filas de productos] }
+create or replace function buscar_productos(
+  p_q text default null,
+  p_categoria text default null,
+  p_con_stock boolean default false,
+  p_incluir_inactivos boolean default false,
+  p_ids bigint[] default null,
+  p_orden text default 'nombre',
+  p_limite int default 24,
+  p_offset int default 0
+) returns jsonb
+language sql stable
+as $$
+  with terminos as (
+    select replace(replace(replace(t, '\', '\\'), '%', '\%'), '_', '\_') as t
+    from unnest(string_to_array(f_unaccent(lower(coalesce(p_q, ''))), ' ')) as t
+    where t <> ''
+  ),
+  filtrados as (
+    select p.*
+    from productos p
+    where (p_incluir_inactivos or p.activo)
+      and (p_categoria is null or lower(p.categoria) = lower(p_categoria))
+      and (not p_con_stock or p.stock > 0)
+      and (p_ids is null or p.id = any (p_ids))
+      and not exists (
+        select 1 from terminos
+        where f_unaccent(lower(p.nombre || ' ' || coalesce(p.sku, ''))) not like '%' || terminos.t || '%'
+      )
+  ),
+  numerados as (
+    select f.*, row_number() over (order by
+        case when p_orden = 'precioAsc' then f.precio end asc nulls last,
+        case when p_orden = 'precioDesc' then f.precio end desc nulls last,
+        case when p_orden = 'stock' then f.stock end desc nulls last,
+        case when p_orden = 'nuevos' then f.id end desc,
+        f.nombre asc,
+        f.id asc
+      ) as n_orden
+    from filtrados f
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtrados),
+    'items', coalesce((
+      select jsonb_agg(to_jsonb(x) - 'n_orden' order by x.n_orden)
+      from numerados x
+      where x.n_orden > p_offset and x.n_orden <= p_offset + p_limite
+    ), '[]'::jsonb)
+  );
+$$;
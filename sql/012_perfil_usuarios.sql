@@ -0,0 +1,4 @@
+-- Datos de contacto del usuario (antes en localStorage.userData del navegador)
+-- perfil: { nombre, apellido, email, telefono }
+
+alter table usuarios add column if not exists perfil jsonb not null default '{}'::jsonb;
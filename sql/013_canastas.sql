@@ -0,0 +1,12 @@
+-- Canastas guardadas: pedidos habituales con nombre que el usuario vuelve a cargar en el carrito
+-- items: [{ id, cantidad }]
+
+create table if not exists canastas (
+  id bigint generated always as identity primary key,
+  usuario_id bigint not null references usuarios (id) on delete cascade,
+  nombre text not null,
+  items jsonb not null default '[]'::jsonb,
+  creado timestamptz not null default now(),
+  actualizado timestamptz not null default now(),
+  unique (usuario_id, nombre)
+);
@@ -0,0 +1,64 @@
+-- Aceptar una petición en UNA transacción: reserva de stock + pedido + marca en la petición.
+-- La petición ya no se borra: queda como 'Aceptada' con el id del pedido que generó.
+
+alter table "Peticiones" add column if not exists estado text not null default 'Pendiente';
+alter table "Peticiones" add column if not exists pedido_id text;
+alter table "Peticiones" add column if not exists aceptada_por text;
+alter table "Peticiones" add column if not exists aceptada_en timestamptz;
+
+alter table pedidos add column if not exists peticion_id text;
+create unique index if not exists pedidos_peticion_idx on pedidos (peticion_id) where peticion_id is not null;
+
+-- p_pedido: fila de pedidos ya cotizada por el servidor
+--   { id, user, fecha, items: [{ id, nombre, cantidad, precio_unitario, subtotal }], total, user_id, nombre_negocio, lista_precios }
+-- Bloquea la petición: si dos aceptaciones llegan a la vez, la segunda ve 'Aceptada' y
+-- devuelve el mismo pedido (se puede reintentar sin duplicar).
+-- Devuelve { ok, repetida, pedido_id } o { ok: false, motivo: 'no_existe' | 'stock', fallidos }
+create or replace function aceptar_peticion(
+  p_peticion_id text,
+  p_pedido jsonb,
+  p_usuario text,
+  p_permitir_negativo boolean default true
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_pet record;
+  v_cambios jsonb;
+  v_reserva jsonb;
+  v_pedido_id text := p_pedido->>'id';
+begin
+  select * into v_pet from "Peticiones" where id::text = p_peticion_id for update;
+  if not found then
+    return jsonb_build_object('ok', false, 'motivo', 'no_existe');
+  end if;
+  if v_pet.estado = 'Aceptada' then
+    return jsonb_build_object('ok', true, 'repetida', true, 'pedido_id', v_pet.pedido_id);
+  end if;
+
+  -- 1. Reserva de stock (todas las líneas o ninguna)
+  select coalesce(jsonb_agg(jsonb_build_object('id', e->'id', 'cantidad', -((e->>'cantidad')::numeric))), '[]'::jsonb)
+    into v_cambios
+  from jsonb_array_elements(p_pedido->'items') e;
+
+  v_reserva := aplicar_movimientos_stock(v_cambios, 'VENTA', v_pedido_id, null, p_permitir_negativo);
+  if not (v_reserva->>'ok')::boolean then
+    return jsonb_build_object('ok', false, 'motivo', 'stock', 'fallidos', v_reserva->'fallidos');
+  end if;
+
+  -- 2. Pedido con vínculo a la petición
+  insert into pedidos (id, "user", fecha, items, total, user_id, nombre_negocio, estado, lista_precios, peticion_id)
+  select r.id, r."user", r.fecha, r.items, r.total, r.user_id, r.nombre_negocio, 'Armando', r.lista_precios, p_peticion_id
+  from jsonb_populate_record(null::pedidos, p_pedido) r;
+
+  insert into pedidos_estados (pedido_id, estado_anterior, estado_nuevo, actor, nota)
+  values (v_pedido_id, 'Petición', 'Armando', p_usuario, 'Petición #' || p_peticion_id || ' aceptada');
+
+  -- 3. La petición queda aceptada (no se borra)
+  update "Peticiones"
+  set estado = 'Aceptada', pedido_id = v_pedido_id, aceptada_por = p_usuario, aceptada_en = now()
+  where id = v_pet.id;
+
+  return jsonb_build_object('ok', true, 'repetida', false, 'pedido_id', v_pedido_id);
+end;
+$$;
@@ -0,0 +1,151 @@
+-- Idempotency-Key en las escrituras y número de pedido correlativo por punto de venta.
+-- El id interno del pedido pasa a ser un UUID; el número que se imprime es punto_venta-numero.
+
+-- pedidos.id pasa a texto antes que nada: los pedidos nuevos usan UUID y los viejos quedan con su
+-- id numérico como texto ("1712345678901"). Las columnas que ya apuntaban al pedido como texto
+-- (pedidos_estados, "Peticiones".pedido_id, historial_stock.referencia_id y el id de la deuda en
+-- clients_v2.data.items) no cambian. Las FK que apunten a pedidos(id) se pasan a texto y se vuelven
+-- a crear igual.
+do $$
+declare
+  v_fk record;
+  v_fks jsonb := '[]'::jsonb;
+  v_col text;
+begin
+  if (select data_type from information_schema.columns
+      where table_schema = 'public' and table_name = 'pedidos' and column_name = 'id') = 'text' then
+    return;
+  end if;
+
+  for v_fk in
+    select c.conname, c.conrelid::regclass::text as tabla, pg_get_constraintdef(c.oid) as definicion,
+           array(select a.attname from pg_attribute a where a.attrelid = c.conrelid and a.attnum = any (c.conkey)) as columnas
+    from pg_constraint c
+    where c.contype = 'f' and c.confrelid = 'public.pedidos'::regclass
+  loop
+    v_fks := v_fks || jsonb_build_object('nombre', v_fk.conname, 'tabla', v_fk.tabla, 'definicion', v_fk.definicion);
+    execute format('alter table %s drop constraint %I', v_fk.tabla, v_fk.conname);
+    foreach v_col in array v_fk.columnas loop
+      execute format('alter table %s alter column %I type text using %I::text', v_fk.tabla, v_col, v_col);
+    end loop;
+  end loop;
+
+  alter table pedidos alter column id drop identity if exists;
+  alter table pedidos alter column id drop default;
+  alter table pedidos alter column id type text using id::text;
+
+  for v_fk in select * from jsonb_to_recordset(v_fks) as x(nombre text, tabla text, definicion text) loop
+    execute format('alter table %s add constraint %I %s', v_fk.tabla, v_fk.nombre, v_fk.definicion);
+  end loop;
+end;
+$$;
+
+-- Una fila por (sujeto, clave). estado_http null = la primera petición todavía se está procesando.
+-- sujeto: 'u:<id de usuario>' (solo escrituras con sesión); huella: sha1 de método + ruta + cuerpo
+create table if not exists idempotencia (
+  sujeto text not null,
+  clave text not null,
+  metodo text not null,
+  ruta text not null,
+  huella text not null,
+  estado_http int,
+  respuesta jsonb,
+  creado timestamptz not null default now(),
+  primary key (sujeto, clave)
+);
+
+create index if not exists idempotencia_creado_idx on idempotencia (creado);
+
+create table if not exists puntos_venta (
+  codigo text primary key,
+  nombre text not null,
+  ultimo_numero bigint not null default 0,
+  activo boolean not null default true
+);
+
+insert into puntos_venta (codigo, nombre) values
+  ('0001', 'Mostrador'),
+  ('0002', 'Pedidos web')
+on conflict (codigo) do nothing;
+
+alter table pedidos add column if not exists punto_venta text;
+alter table pedidos add column if not exists numero bigint;
+create unique index if not exists pedidos_numero_idx on pedidos (punto_venta, numero) where numero is not null;
+
+-- El número se toma en el mismo insert del pedido: si el insert falla, el contador vuelve atrás
+-- y no quedan huecos. El update bloquea la fila del punto de venta hasta el commit.
+create or replace function asignar_numero_pedido() returns trigger
+language plpgsql
+as $$
+begin
+  if new.punto_venta is null or new.numero is not null then
+    return new;
+  end if;
+
+  update puntos_venta set ultimo_numero = ultimo_numero + 1
+  where codigo = new.punto_venta and activo
+  returning ultimo_numero into new.numero;
+
+  if new.numero is null then
+    raise exception 'Punto de venta % inexistente o inactivo', new.punto_venta;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists pedidos_numero_trg on pedidos;
+create trigger pedidos_numero_trg before insert on pedidos
+  for each row execute function asignar_numero_pedido();
+
+-- Igual que en 014, ahora con punto_venta (el trigger pone el número) y devolviéndolo
+create or replace function aceptar_peticion(
+  p_peticion_id text,
+  p_pedido jsonb,
+  p_usuario text,
+  p_permitir_negativo boolean default true
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_pet record;
+  v_cambios jsonb;
+  v_reserva jsonb;
+  v_pedido_id text := p_pedido->>'id';
+  v_numero bigint;
+begin
+  select * into v_pet from "Peticiones" where id::text = p_peticion_id for update;
+  if not found then
+    return jsonb_build_object('ok', false, 'motivo', 'no_existe');
+  end if;
+  if v_pet.estado = 'Aceptada' then
+    select numero into v_numero from pedidos where id = v_pet.pedido_id;
+    return jsonb_build_object('ok', true, 'repetida', true, 'pedido_id', v_pet.pedido_id, 'numero', v_numero);
+  end if;
+
+  -- 1. Reserva de stock (todas las líneas o ninguna)
+  select coalesce(jsonb_agg(jsonb_build_object('id', e->'id', 'cantidad', -((e->>'cantidad')::numeric))), '[]'::jsonb)
+    into v_cambios
+  from jsonb_array_elements(p_pedido->'items') e;
+
+  v_reserva := aplicar_movimientos_stock(v_cambios, 'VENTA', v_pedido_id, null, p_permitir_negativo);
+  if not (v_reserva->>'ok')::boolean then
+    return jsonb_build_object('ok', false, 'motivo', 'stock', 'fallidos', v_reserva->'fallidos');
+  end if;
+
+  -- 2. Pedido con vínculo a la petición
+  insert into pedidos (id, "user", fecha, items, total, user_id, nombre_negocio, estado, lista_precios, peticion_id, punto_venta)
+  select r.id, r."user", r.fecha, r.items, r.total, r.user_id, r.nombre_negocio, 'Armando', r.lista_precios, p_peticion_id, r.punto_venta
+  from jsonb_populate_record(null::pedidos, p_pedido) r
+  returning numero into v_numero;
+
+  insert into pedidos_estados (pedido_id, estado_anterior, estado_nuevo, actor, nota)
+  values (v_pedido_id, 'Petición', 'Armando', p_usuario, 'Petición #' || p_peticion_id || ' aceptada');
+
+  -- 3. La petición queda aceptada (no se borra)
+  update "Peticiones"
+  set estado = 'Aceptada', pedido_id = v_pedido_id, aceptada_por = p_usuario, aceptada_en = now()
+  where id = v_pet.id;
+
+  return jsonb_build_object('ok', true, 'repetida', false, 'pedido_id', v_pedido_id, 'numero', v_numero);
+end;
+$$;
@@ -0,0 +1,122 @@
+-- Devoluciones parciales o totales de un pedido, con su nota de crédito.
+-- El pedido no se toca (sigue contando como venta); lo devuelto se acumula en pedidos.total_devuelto
+-- y la deuda del cliente queda en total - total_devuelto.
+
+alter table pedidos add column if not exists total_devuelto numeric not null default 0;
+
+-- Las notas de crédito tienen su propia numeración por punto de venta
+alter table puntos_venta add column if not exists ultimo_numero_nc bigint not null default 0;
+
+-- items: [{ id, nombre, cantidad, precio_unitario, subtotal }] (precios del pedido original)
+create table if not exists devoluciones (
+  id text primary key,
+  pedido_id text not null,
+  punto_venta text not null,
+  numero bigint,
+  fecha timestamptz not null default now(),
+  items jsonb not null,
+  total numeric not null,
+  motivo text,
+  reponer_stock boolean not null default true,
+  usuario text
+);
+
+create index if not exists devoluciones_pedido_idx on devoluciones (pedido_id);
+create unique index if not exists devoluciones_numero_idx on devoluciones (punto_venta, numero);
+
+create or replace function asignar_numero_nota_credito() returns trigger
+language plpgsql
+as $$
+begin
+  if new.numero is not null then
+    return new;
+  end if;
+
+  update puntos_venta set ultimo_numero_nc = ultimo_numero_nc + 1
+  where codigo = new.punto_venta
+  returning ultimo_numero_nc into new.numero;
+
+  if new.numero is null then
+    raise exception 'Punto de venta % inexistente', new.punto_venta;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists devoluciones_numero_trg on devoluciones;
+create trigger devoluciones_numero_trg before insert on devoluciones
+  for each row execute function asignar_numero_nota_credito();
+
+-- p_devolucion: { id, pedido_id, punto_venta, items, total, motivo, reponer_stock, usuario }
+-- Bloquea el pedido para que dos devoluciones simultáneas no devuelvan más de lo vendido.
+-- Devuelve { ok, numero, total_devuelto } o { ok: false, motivo: 'no_existe' | 'cantidad' | 'stock', excedidos | fallidos }
+create or replace function registrar_devolucion(p_devolucion jsonb) returns jsonb
+language plpgsql
+as $$
+declare
+  v_pedido record;
+  v_linea record;
+  v_vendido numeric;
+  v_devuelto numeric;
+  v_excedidos jsonb := '[]'::jsonb;
+  v_reposicion jsonb;
+  v_id text := p_devolucion->>'id';
+  v_numero bigint;
+  v_total_devuelto numeric;
+begin
+  select * into v_pedido from pedidos where id = p_devolucion->>'pedido_id' for update;
+  if not found then
+    return jsonb_build_object('ok', false, 'motivo', 'no_existe');
+  end if;
+
+  -- 1. No se puede devolver más de lo vendido menos lo ya devuelto
+  for v_linea in
+    select e->>'id' as id, (e->>'cantidad')::numeric as cantidad
+    from jsonb_array_elements(p_devolucion->'items') e
+  loop
+    select coalesce(sum((i->>'cantidad')::numeric), 0) into v_vendido
+    from jsonb_array_elements(v_pedido.items) i
+    where i->>'id' = v_linea.id;
+
+    select coalesce(sum((l->>'cantidad')::numeric), 0) into v_devuelto
+    from devoluciones d, jsonb_array_elements(d.items) l
+    where d.pedido_id = v_pedido.id and l->>'id' = v_linea.id;
+
+    if v_linea.cantidad > v_vendido - v_devuelto then
+      v_excedidos := v_excedidos || jsonb_build_object(
+        'id', v_linea.id, 'vendido', v_vendido, 'devuelto', v_devuelto, 'solicitado', v_linea.cantidad
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_excedidos) > 0 then
+    return jsonb_build_object('ok', false, 'motivo', 'cantidad', 'excedidos', v_excedidos);
+  end if;
+
+  -- 2. Reingreso de stock (tipo DEVOLUCION)
+  if coalesce((p_devolucion->>'reponer_stock')::boolean, true) then
+    v_reposicion := aplicar_movimientos_stock(
+      (select jsonb_agg(jsonb_build_object('id', e->'id', 'cantidad', (e->>'cantidad')::numeric))
+       from jsonb_array_elements(p_devolucion->'items') e),
+      'DEVOLUCION', v_id, p_devolucion->>'motivo', true
+    );
+    if not (v_reposicion->>'ok')::boolean then
+      return jsonb_build_object('ok', false, 'motivo', 'stock', 'fallidos', v_reposicion->'fallidos');
+    end if;
+  end if;
+
+  -- 3. Nota de crédito y acumulado en el pedido
+  insert into devoluciones (id, pedido_id, punto_venta, items, total, motivo, reponer_stock, usuario)
+  values (
+    v_id, v_pedido.id, p_devolucion->>'punto_venta', p_devolucion->'items', (p_devolucion->>'total')::numeric,
+    p_devolucion->>'motivo', coalesce((p_devolucion->>'reponer_stock')::boolean, true), p_devolucion->>'usuario'
+  )
+  returning numero into v_numero;
+
+  update pedidos set total_devuelto = total_devuelto + (p_devolucion->>'total')::numeric
+  where id = v_pedido.id
+  returning total_devuelto into v_total_devuelto;
+
+  return jsonb_build_object('ok', true, 'numero', v_numero, 'total_devuelto', v_total_devuelto);
+end;
+$$;
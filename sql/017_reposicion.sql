@@ -0,0 +1,44 @@
+-- Punto de reposición por producto y promedio de ventas diario para las sugerencias de compra.
+
+-- stock_minimo: colchón que no se quiere perforar; demora_reposicion_dias: lo que tarda el proveedor en entregar
+alter table productos add column if not exists stock_minimo numeric;
+alter table productos add column if not exists demora_reposicion_dias int;
+
+-- Las órdenes de compra armadas desde las sugerencias nacen como 'Borrador' hasta que se confirman
+-- estado: 'Borrador' | 'Pendiente' | 'Parcial' | 'Recibida' | 'Cancelada'
+
+create index if not exists historial_stock_tipo_fecha_idx on historial_stock (tipo_movimiento, fecha);
+
+-- Una fila por producto con ventas en la ventana. Se recalcula entera una vez por día.
+create table if not exists ventas_diarias_productos (
+  producto_id bigint primary key,
+  unidades numeric not null,
+  dias int not null,
+  promedio_diario numeric not null,
+  calculado timestamptz not null default now()
+);
+
+-- Unidades vendidas en los últimos p_dias según historial_stock: las salidas por VENTA (y por
+-- modificación de pedidos) menos lo que volvió por cancelación, eliminación o devolución.
+-- Devuelve cuántos productos quedaron con promedio.
+create or replace function calcular_ventas_diarias(p_dias int default 60) returns int
+language plpgsql
+as $$
+declare
+  v_filas int;
+begin
+  delete from ventas_diarias_productos where true;
+
+  insert into ventas_diarias_productos (producto_id, unidades, dias, promedio_diario, calculado)
+  select producto_id, greatest(-sum(cantidad_cambio), 0), p_dias, greatest(-sum(cantidad_cambio), 0) / p_dias, now()
+  from historial_stock
+  where fecha >= now() - make_interval(days => p_dias)
+    and tipo_movimiento in ('VENTA', 'MODIF_PEDIDO', 'CANCELAR_PEDIDO', 'ELIMINAR_PEDIDO', 'DEVOLUCION')
+    and producto_id is not null
+  group by producto_id
+  having -sum(cantidad_cambio) > 0;
+
+  get diagnostics v_filas = row_count;
+  return v_filas;
+end;
+$$;
@@ -0,0 +1,166 @@
+-- Datos maestros de clientes: clients_v2 pasa a ser la ficha del cliente (además del libro de deudas)
+-- y cada cliente puede tener varios negocios. Los pedidos y peticiones guardan user_id + negocio_id;
+-- user y nombre_negocio quedan como texto impreso en el momento de la venta.
+
+alter table clients_v2 add column if not exists cuit text;
+alter table clients_v2 add column if not exists telefono text;
+alter table clients_v2 add column if not exists email text;
+alter table clients_v2 add column if not exists direccion text;
+alter table clients_v2 add column if not exists limite_credito numeric;
+alter table clients_v2 add column if not exists notas text;
+alter table clients_v2 add column if not exists activo boolean not null default true;
+-- Otras formas en que aparece escrito en pedidos viejos ("Juan Perez", "juan pérez", "Almacén Juan")
+alter table clients_v2 add column if not exists alias text[] not null default '{}';
+
+create index if not exists clients_v2_user_id_idx on clients_v2 (user_id);
+
+create table if not exists negocios (
+  id bigint generated always as identity primary key,
+  user_id text not null,
+  nombre text not null,
+  direccion text,
+  localidad text,
+  telefono text,
+  activo boolean not null default true,
+  creado timestamptz not null default now()
+);
+
+create index if not exists negocios_user_id_idx on negocios (user_id);
+
+alter table pedidos add column if not exists negocio_id bigint references negocios (id);
+alter table "Peticiones" add column if not exists negocio_id bigint references negocios (id);
+create index if not exists pedidos_user_id_idx on pedidos (user_id);
+
+-- Misma normalización que normalizarNombre() en clientes.js: minúsculas, sin espacios de más
+create or replace function normalizar_nombre_cliente(p_texto text) returns text
+language sql immutable
+as $$
+  select nullif(regexp_replace(lower(trim(coalesce(p_texto, ''))), '\s+', ' ', 'g'), '');
+$$;
+
+-- Vincula pedidos y peticiones sin user_id con la ficha cuyo nombre o alias coincide (solo si
+-- coincide con una sola ficha: los nombres ambiguos quedan para resolver a mano), y después
+-- crea los negocios que falten a partir de nombre_negocio y completa negocio_id.
+-- Se puede volver a correr después de cargar alias. Devuelve la cantidad de filas tocadas.
+create or replace function vincular_pedidos_clientes() returns jsonb
+language plpgsql
+as $$
+declare
+  v_pedidos int;
+  v_peticiones int;
+  v_negocios int;
+  v_pedidos_negocio int;
+  v_peticiones_negocio int;
+begin
+  drop table if exists nombres_clientes;
+  create temp table nombres_clientes on commit drop as
+  select nombre, min(user_id) as user_id
+  from (
+    select normalizar_nombre_cliente(c.name) as nombre, c.user_id from clients_v2 c where c.user_id is not null
+    union
+    select normalizar_nombre_cliente(a), c.user_id from clients_v2 c, unnest(c.alias) a where c.user_id is not null
+  ) n
+  where nombre is not null
+  group by nombre
+  having count(distinct user_id) = 1;
+
+  update pedidos p set user_id = n.user_id
+  from nombres_clientes n
+  where p.user_id is null and normalizar_nombre_cliente(p."user") = n.nombre;
+  get diagnostics v_pedidos = row_count;
+
+  update "Peticiones" p set user_id = n.user_id
+  from nombres_clientes n
+  where p.user_id is null and normalizar_nombre_cliente(p.nombre) = n.nombre;
+  get diagnostics v_peticiones = row_count;
+
+  insert into negocios (user_id, nombre)
+  select distinct on (x.user_id, normalizar_nombre_cliente(x.nombre_negocio)) x.user_id, trim(x.nombre_negocio)
+  from (
+    select user_id, nombre_negocio, fecha from pedidos
+    union all
+    select user_id, nombre_negocio, fecha from "Peticiones"
+  ) x
+  where x.user_id is not null
+    and normalizar_nombre_cliente(x.nombre_negocio) is not null
+    and normalizar_nombre_cliente(x.nombre_negocio) <> 'sin negocio'
+    and not exists (
+      select 1 from negocios n
+      where n.user_id = x.user_id and normalizar_nombre_cliente(n.nombre) = normalizar_nombre_cliente(x.nombre_negocio)
+    )
+  order by x.user_id, normalizar_nombre_cliente(x.nombre_negocio), x.fecha desc;
+  get diagnostics v_negocios = row_count;
+
+  update pedidos p set negocio_id = n.id
+  from negocios n
+  where p.negocio_id is null and p.user_id = n.user_id
+    and normalizar_nombre_cliente(p.nombre_negocio) = normalizar_nombre_cliente(n.nombre);
+  get diagnostics v_pedidos_negocio = row_count;
+
+  update "Peticiones" p set negocio_id = n.id
+  from negocios n
+  where p.negocio_id is null and p.user_id = n.user_id
+    and normalizar_nombre_cliente(p.nombre_negocio) = normalizar_nombre_cliente(n.nombre);
+  get diagnostics v_peticiones_negocio = row_count;
+
+  return jsonb_build_object(
+    'pedidos', v_pedidos, 'peticiones', v_peticiones, 'negocios_creados', v_negocios,
+    'pedidos_con_negocio', v_pedidos_negocio, 'peticiones_con_negocio', v_peticiones_negocio
+  );
+end;
+$$;
+
+select vincular_pedidos_clientes();
+
+-- Igual que en 015, ahora copiando también negocio_id al pedido
+create or replace function aceptar_peticion(
+  p_peticion_id text,
+  p_pedido jsonb,
+  p_usuario text,
+  p_permitir_negativo boolean default true
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_pet record;
+  v_cambios jsonb;
+  v_reserva jsonb;
+  v_pedido_id text := p_pedido->>'id';
+  v_numero bigint;
+begin
+  select * into v_pet from "Peticiones" where id::text = p_peticion_id for update;
+  if not found then
+    return jsonb_build_object('ok', false, 'motivo', 'no_existe');
+  end if;
+  if v_pet.estado = 'Aceptada' then
+    select numero into v_numero from pedidos where id = v_pet.pedido_id;
+    return jsonb_build_object('ok', true, 'repetida', true, 'pedido_id', v_pet.pedido_id, 'numero', v_numero);
+  end if;
+
+  -- 1. Reserva de stock (todas las líneas o ninguna)
+  select coalesce(jsonb_agg(jsonb_build_object('id', e->'id', 'cantidad', -((e->>'cantidad')::numeric))), '[]'::jsonb)
+    into v_cambios
+  from jsonb_array_elements(p_pedido->'items') e;
+
+  v_reserva := aplicar_movimientos_stock(v_cambios, 'VENTA', v_pedido_id, null, p_permitir_negativo);
+  if not (v_reserva->>'ok')::boolean then
+    return jsonb_build_object('ok', false, 'motivo', 'stock', 'fallidos', v_reserva->'fallidos');
+  end if;
+
+  -- 2. Pedido con vínculo a la petición
+  insert into pedidos (id, "user", fecha, items, total, user_id, nombre_negocio, negocio_id, estado, lista_precios, peticion_id, punto_venta)
+  select r.id, r."user", r.fecha, r.items, r.total, r.user_id, r.nombre_negocio, r.negocio_id, 'Armando', r.lista_precios, p_peticion_id, r.punto_venta
+  from jsonb_populate_record(null::pedidos, p_pedido) r
+  returning numero into v_numero;
+
+  insert into pedidos_estados (pedido_id, estado_anterior, estado_nuevo, actor, nota)
+  values (v_pedido_id, 'Petición', 'Armando', p_usuario, 'Petición #' || p_peticion_id || ' aceptada');
+
+  -- 3. La petición queda aceptada (no se borra)
+  update "Peticiones"
+  set estado = 'Aceptada', pedido_id = v_pedido_id, aceptada_por = p_usuario, aceptada_en = now()
+  where id = v_pet.id;
+
+  return jsonb_build_object('ok', true, 'repetida', false, 'pedido_id', v_pedido_id, 'numero', v_numero);
+end;
+$$;
@@ -0,0 +1,3 @@
+-- La idempotencia ya no aplica a /api/auth/* ni a pedidos sin sesión: se borran las respuestas
+-- guardadas de login/registro (tenían el token emitido) y las claves del sujeto 'anonimo'.
+delete from idempotencia where ruta like '/api/auth/%' or sujeto = 'anonimo';
@@ -0,0 +1,4 @@
+-- Los totales de pedidos y peticiones son la suma de los subtotales de lista (con centavos),
+-- no un entero: si la columna era int, pasa a numeric.
+alter table pedidos alter column total type numeric using total::numeric;
+alter table "Peticiones" alter column total type numeric using total::numeric;
@@ -0,0 +1,72 @@
+/* =========================================================
+   SUGERIDOS POR FRECUENCIA DE COMPRA
+   ---------------------------------------------------------
+   Funciones puras: a partir de los pedidos de un cliente
+   estima qué productos habituales le toca volver a pedir.
+   ========================================================= */
+
+export const MIN_PEDIDOS_SUGERIDO = 2;   // comprado una sola vez no es "habitual"
+export const MESES_SUGERIDOS = 6;        // ventana de pedidos que se analiza
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const redondear2 = n => Math.round(n * 100) / 100;
+
+// pedidos: [{ fecha, items: [{ id, nombre, cantidad }] }]
+// Devuelve [{ id, nombre, veces, frecuencia, cantidad_sugerida, ultima_compra, dias_desde_ultima, intervalo_dias, puntaje }]
+// frecuencia: proporción de los pedidos del cliente en los que aparece (0 a 1)
+// puntaje: frecuencia × qué tan "vencida" está la reposición (tope 2)
+export function calcularSugeridos(pedidos, { ahora = new Date(), minimoPedidos = MIN_PEDIDOS_SUGERIDO, limite = 20 } = {}) {
+    const validos = (pedidos || [])
+        .filter(p => p.fecha && Array.isArray(p.items))
+        .sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+    if (validos.length === 0) return [];
+
+    const porProducto = new Map();
+    for (const pedido of validos) {
+        const fecha = new Date(pedido.fecha);
+        const vistos = new Set();
+        for (const it of pedido.items) {
+            const cantidad = Number(it.cantidad) || 0;
+            if (it.id === null || it.id === undefined || cantidad <= 0) continue;
+            const clave = String(it.id);
+            const acc = porProducto.get(clave) || { id: it.id, nombre: it.nombre, fechas: [], unidades: 0 };
+            acc.nombre = it.nombre || acc.nombre;
+            acc.unidades += cantidad;
+            if (!vistos.has(clave)) {
+                acc.fechas.push(fecha);
+                vistos.add(clave);
+            }
+            porProducto.set(clave, acc);
+        }
+    }
+
+    const sugeridos = [];
+    for (const acc of porProducto.values()) {
+        const veces = acc.fechas.length;
+        if (veces < minimoPedidos) continue;
+
+        const ultima = acc.fechas[veces - 1];
+        const intervalo = (ultima - acc.fechas[0]) / DIA_MS / (veces - 1);
+        const diasDesde = Math.max(0, (ahora - ultima) / DIA_MS);
+        // 1 = le toca ahora, 2 = lleva el doble de lo habitual sin pedirlo
+        const vencimiento = Math.min(diasDesde / Math.max(intervalo, 1), 2);
+        const frecuencia = veces / validos.length;
+
+        sugeridos.push({
+            id: acc.id,
+            nombre: acc.nombre,
+            veces,
+            frecuencia: redondear2(frecuencia),
+            cantidad_sugerida: Math.max(1, Math.round(acc.unidades / veces)),
+            ultima_compra: ultima.toISOString(),
+            dias_desde_ultima: Math.floor(diasDesde),
+            intervalo_dias: Math.round(intervalo),
+            puntaje: redondear2(frecuencia * vencimiento)
+        });
+    }
+
+    return sugeridos
+        .sort((a, b) => b.puntaje - a.puntaje || b.veces - a.veces)
+        .slice(0, limite);
+}
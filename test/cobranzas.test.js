@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    redistribuirSobrante, cambiarMontoDeuda, registrarPago, purgarDeudasViejas, topearPagos, saldoPendiente,
+    agregarDeuda, numeroDeDeuda
+} from '../cobranzas.js';
+
+// Lista como la guarda el panel: lo más nuevo arriba, lo más viejo al final
+const deuda = (id, amount, paid = 0, date = '2024-01-01T00:00:00.000Z') => ({ id, type: 'debt', amount, paid, date, notes: '', color: 'orange' });
+const divisor = () => ({ type: 'divider' });
+const pagado = (items, id) => items.find(i => i.id === id).paid;
+
+test('redistribuirSobrante: primero la misma sección, después de la más vieja a la más nueva', () => {
+    const items = [
+        deuda('nueva', 100),       // otra sección (arriba del divisor)
+        divisor(),
+        deuda('origen', 100, 100),
+        deuda('hermana', 50),
+        divisor(),
+        deuda('media', 100),
+        deuda('vieja', 100)
+    ];
+    const { items: nuevos, restante } = redistribuirSobrante(items, 2, 180);
+
+    assert.equal(restante, 0);
+    assert.equal(pagado(nuevos, 'hermana'), 50);
+    assert.equal(pagado(nuevos, 'vieja'), 100);
+    assert.equal(pagado(nuevos, 'media'), 30);
+    assert.equal(pagado(nuevos, 'nueva'), 0);
+    assert.equal(pagado(nuevos, 'origen'), 100, 'no se toca la deuda de origen');
+    assert.equal(pagado(items, 'hermana'), 0, 'no modifica la lista recibida');
+});
+
+test('redistribuirSobrante: devuelve lo que no se pudo ubicar', () => {
+    const items = [deuda('a', 100, 100), deuda('b', 40)];
+    const { items: nuevos, restante } = redistribuirSobrante(items, 0, 100);
+    assert.equal(pagado(nuevos, 'b'), 40);
+    assert.equal(restante, 60);
+});
+
+test('redistribuirSobrante: sin sobrante no hace nada', () => {
+    const items = [deuda('a', 100, 100), deuda('b', 40)];
+    assert.deepEqual(redistribuirSobrante(items, 0, 0), { items, restante: 0 });
+});
+
+test('cambiarMontoDeuda: achicar una deuda pagada mueve el sobrante a su sección y después a las más viejas', () => {
+    const items = [
+        deuda('otra-seccion', 100),
+        divisor(),
+        deuda('pagada', 300, 300),
+        deuda('misma-seccion', 50),
+        divisor(),
+        deuda('mas-vieja', 200)
+    ];
+    const r = cambiarMontoDeuda(items, 'pagada', 100);
+
+    assert.equal(r.cambio, true);
+    assert.equal(r.montoAnterior, 300);
+    assert.equal(r.sobrante, 200);
+    assert.equal(r.redistribuido, 200);
+    assert.equal(pagado(r.items, 'pagada'), 100);
+    assert.equal(pagado(r.items, 'misma-seccion'), 50);
+    assert.equal(pagado(r.items, 'mas-vieja'), 150);
+    assert.equal(pagado(r.items, 'otra-seccion'), 0);
+});
+
+test('cambiarMontoDeuda: mismo monto no cambia nada y agrandar no redistribuye', () => {
+    const items = [deuda('a', 100, 100), deuda('b', 50)];
+    assert.equal(cambiarMontoDeuda(items, 'a', 100).cambio, false);
+
+    const r = cambiarMontoDeuda(items, 'a', 150, { notes: 'ajuste' });
+    assert.equal(r.sobrante, 0);
+    assert.equal(r.items[0].amount, 150);
+    assert.equal(r.items[0].notes, 'ajuste');
+    assert.equal(pagado(r.items, 'b'), 0);
+});
+
+test('cambiarMontoDeuda: deuda inexistente', () => {
+    assert.throws(() => cambiarMontoDeuda([deuda('a', 100)], 'x', 50), /No existe la deuda x/);
+});
+
+test('registrarPago sin destino: paga de la más vieja a la más nueva', () => {
+    const items = [deuda('nueva', 100), deuda('media', 100, 50), deuda('vieja', 100)];
+    const r = registrarPago(items, 180);
+
+    assert.equal(r.aplicado, 180);
+    assert.equal(r.sobrante, 0);
+    assert.equal(pagado(r.items, 'vieja'), 100);
+    assert.equal(pagado(r.items, 'media'), 100);
+    assert.equal(pagado(r.items, 'nueva'), 30);
+    assert.deepEqual(r.detalle, [{ id: 'nueva', monto: 30 }, { id: 'media', monto: 50 }, { id: 'vieja', monto: 100 }]);
+});
+
+test('registrarPago con destino: paga esa deuda y redistribuye el resto', () => {
+    const items = [deuda('nueva', 100), divisor(), deuda('destino', 100), deuda('vecina', 30), divisor(), deuda('vieja', 100)];
+    const r = registrarPago(items, 200, { destinoId: 'destino' });
+
+    assert.equal(pagado(r.items, 'destino'), 100);
+    assert.equal(pagado(r.items, 'vecina'), 30);
+    assert.equal(pagado(r.items, 'vieja'), 70);
+    assert.equal(pagado(r.items, 'nueva'), 0);
+    assert.equal(r.aplicado, 200);
+});
+
+test('registrarPago: lo que supera la deuda total queda como sobrante', () => {
+    const r = registrarPago([deuda('a', 100, 80)], 50);
+    assert.equal(r.aplicado, 20);
+    assert.equal(r.sobrante, 30);
+    assert.equal(saldoPendiente(r.items), 0);
+});
+
+test('registrarPago: monto inválido o destino inexistente', () => {
+    assert.throws(() => registrarPago([deuda('a', 100)], 0), /mayor a cero/);
+    assert.throws(() => registrarPago([deuda('a', 100)], 10, { destinoId: 'x' }), /No existe la deuda x/);
+});
+
+test('topearPagos: ninguna deuda queda con pagado mayor al monto', () => {
+    const items = topearPagos([deuda('a', 100, 150), deuda('b', 100, 20), divisor()]);
+    assert.equal(pagado(items, 'a'), 100);
+    assert.equal(pagado(items, 'b'), 20);
+});
+
+test('purgarDeudasViejas: quita solo las saldadas con más de N meses', () => {
+    const ahora = new Date('2024-06-15T00:00:00.000Z');
+    const items = [
+        deuda('reciente-saldada', 100, 100, '2024-05-01T00:00:00.000Z'),
+        deuda('vieja-saldada', 100, 100, '2024-01-01T00:00:00.000Z'),
+        deuda('vieja-con-saldo', 100, 40, '2024-01-01T00:00:00.000Z'),
+        deuda('sin-fecha', 100, 100, null),
+        deuda('fecha-invalida', 100, 100, 'no es fecha'),
+        divisor()
+    ];
+    const ids = purgarDeudasViejas(items, 3, ahora).map(i => i.id ?? i.type);
+    assert.deepEqual(ids, ['reciente-saldada', 'vieja-con-saldo', 'sin-fecha', 'fecha-invalida', 'divider']);
+});
+
+test('agregarDeuda guarda el número impreso del pedido y numeroDeDeuda lo muestra', () => {
+    const items = agregarDeuda([deuda('vieja', 100)], { id: 'b3f1c2d4-uuid', amount: 99.6, numero: '0001-00000042' });
+    assert.equal(items[0].amount, 100);
+    assert.equal(numeroDeDeuda(items[0]), '0001-00000042');
+    assert.equal(numeroDeDeuda(items[1]), 'ieja', 'las deudas sin número muestran los últimos 4 del id');
+    assert.equal('numero' in agregarDeuda([], { id: 1, amount: 10 })[0], false);
+});